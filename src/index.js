@@ -1,4 +1,4 @@
-const { TrendKeyword, TrendKeywordLite } = require('./trendspy/trend_keyword');
+const { TrendKeyword, TrendKeywordLite, filterTrends, sortTrends } = require('./trendspy/trend_keyword');
 const { 
     convertTimeframe,
     timeframeToDuration,
@@ -6,20 +6,73 @@ const {
     getResolutionAndRange,
     checkTimeframeResolution
 } = require('./trendspy/timeframe_utils');
+const {
+    GEO_RESOLUTIONS,
+    geoResolutions,
+    ENTITY_ID_PATTERN,
+    isEntityId,
+    keywordValue,
+    entityTitles
+} = require('./trendspy/utils');
 const {
     flattenTree,
     HierarchicalIndex,
     createHierarchicalIndex
 } = require('./trendspy/hierarchical_search');
-const { Trends } = require('./trendspy/client');
+const {
+    splitTimeframe,
+    stitchSeries
+} = require('./trendspy/stitching');
+const {
+    anchorGroups,
+    mergeAnchoredResults
+} = require('./trendspy/anchoring');
+const {
+    DEFAULT_CACHE_TTL,
+    MemoryCache,
+    FileCache
+} = require('./trendspy/cache');
+const {
+    TrendsError,
+    TrendsRequestError,
+    TrendsRateLimitError,
+    TrendsQuotaExceededError,
+    TrendsSessionError,
+    TrendsNetworkError,
+    TrendsParseError,
+    TrendsInvalidArgumentError,
+    TrendsAbortError,
+    TrendsReplayError
+} = require('./trendspy/errors');
+const { createConsoleLogger } = require('./trendspy/logger');
+const { ProxyPool } = require('./trendspy/proxy_pool');
+const { RequestScheduler } = require('./trendspy/scheduler');
+const { ExchangeRecorder } = require('./trendspy/recorder');
+const { TIMESTAMP_FORMATS, TrendsTable } = require('./trendspy/table');
+const { Trends, BatchPeriod } = require('./trendspy/client');
 
 module.exports = {
     // Main client
     Trends,
+    BatchPeriod,
+    
+    // Errors
+    TrendsError,
+    TrendsRequestError,
+    TrendsRateLimitError,
+    TrendsQuotaExceededError,
+    TrendsSessionError,
+    TrendsNetworkError,
+    TrendsParseError,
+    TrendsInvalidArgumentError,
+    TrendsAbortError,
+    TrendsReplayError,
     
     // Trend keyword classes
     TrendKeyword,
     TrendKeywordLite,
+    filterTrends,
+    sortTrends,
     
     // Timeframe utilities
     convertTimeframe,
@@ -28,6 +81,45 @@ module.exports = {
     getResolutionAndRange,
     checkTimeframeResolution,
     
+    // Geo utilities
+    GEO_RESOLUTIONS,
+    geoResolutions,
+    
+    // Keyword utilities
+    ENTITY_ID_PATTERN,
+    isEntityId,
+    keywordValue,
+    entityTitles,
+    
+    // Tabular results
+    TIMESTAMP_FORMATS,
+    TrendsTable,
+    
+    // Stitching utilities
+    splitTimeframe,
+    stitchSeries,
+    
+    // Anchored comparison utilities
+    anchorGroups,
+    mergeAnchoredResults,
+    
+    // Response cache
+    DEFAULT_CACHE_TTL,
+    MemoryCache,
+    FileCache,
+    
+    // Logging
+    createConsoleLogger,
+    
+    // Proxies
+    ProxyPool,
+    
+    // Request scheduling
+    RequestScheduler,
+    
+    // Record and replay
+    ExchangeRecorder,
+    
     // Hierarchical search utilities
     flattenTree,
     HierarchicalIndex,
@@ -0,0 +1,206 @@
+/**
+ * @constant {number}
+ * Keywords per request besides the anchor (Google compares at most 5 terms at once)
+ */
+const ANCHOR_GROUP_SIZE = 4;
+
+/**
+ * Splits keywords into request groups that all start with the same anchor keyword.
+ *
+ * @param {string[]} keywords - Keywords to compare (the anchor may be among them)
+ * @param {string} anchor - Keyword shared by every group
+ * @param {number} [groupSize=4] - Keywords per group besides the anchor
+ * @returns {string[][]} Groups of at most groupSize + 1 keywords, anchor first
+ *
+ * @example
+ * anchorGroups(['a', 'b', 'c', 'd', 'e', 'f'], 'a')
+ * // returns [['a', 'b', 'c', 'd', 'e'], ['a', 'f']]
+ */
+function anchorGroups(keywords, anchor, groupSize = ANCHOR_GROUP_SIZE) {
+    const others = Array.from(new Set(keywords)).filter(keyword => keyword !== anchor);
+    if (others.length === 0) {
+        return [[anchor]];
+    }
+
+    const groups = [];
+    for (let i = 0; i < others.length; i += groupSize) {
+        groups.push([anchor, ...others.slice(i, i + groupSize)]);
+    }
+    return groups;
+}
+
+/**
+ * Sums a series, ignoring missing values.
+ * @private
+ */
+function sumValues(values) {
+    return values.reduce((sum, value) => sum + (value || 0), 0);
+}
+
+/**
+ * Merges interestOverTime results of anchorGroups requests onto one 0-100 scale.
+ * Every group is rescaled so that its anchor series matches the anchor of the first group
+ * (ratio of sums over shared timestamps), then the whole matrix is normalized to a maximum of 100.
+ * Groups whose anchor is all zeros cannot be rescaled: their keywords are returned as null series.
+ *
+ * @param {Array<{timestamps: number[], values: Object<string, number[]>}>} results - One result per group,
+ *     with the anchor as first series
+ * @returns {{timestamps: number[], values: Object<string, Array<number|null>>, factors: Array<number|null>, zeroAnchorGroups: number[]}}
+ *     Merged matrix on the first group's timestamps, the factor applied to each group and
+ *     the indexes of groups whose anchor was all zeros
+ */
+function mergeAnchoredResults(results) {
+    const timestamps = (results[0] && results[0].timestamps) || [];
+    const values = {};
+    const factors = [];
+    const zeroAnchorGroups = [];
+
+    if (timestamps.length === 0) {
+        return { timestamps: [], values, factors: results.map(() => null), zeroAnchorGroups };
+    }
+
+    const anchorLabel = Object.keys(results[0].values)[0];
+    const referenceByTime = new Map(
+        timestamps.map((timestamp, i) => [timestamp, results[0].values[anchorLabel][i]])
+    );
+
+    results.forEach((result, groupIndex) => {
+        const labels = Object.keys((result && result.values) || {});
+        const positions = new Map(((result && result.timestamps) || []).map((timestamp, i) => [timestamp, i]));
+        const shared = timestamps.filter(timestamp => positions.has(timestamp));
+
+        const referenceSum = sumValues(shared.map(timestamp => referenceByTime.get(timestamp)));
+        const anchorSum = labels.length
+            ? sumValues(shared.map(timestamp => result.values[labels[0]][positions.get(timestamp)]))
+            : 0;
+
+        const factor = referenceSum > 0 && anchorSum > 0 ? referenceSum / anchorSum : null;
+        factors.push(factor);
+        if (factor === null) {
+            zeroAnchorGroups.push(groupIndex);
+        }
+
+        // The anchor series always comes from the first group
+        labels.slice(groupIndex === 0 ? 0 : 1).forEach(label => {
+            values[label] = timestamps.map(timestamp => {
+                if (factor === null || !positions.has(timestamp)) {
+                    return null;
+                }
+                return result.values[label][positions.get(timestamp)] * factor;
+            });
+        });
+    });
+
+    const max = Math.max(0, ...Object.values(values).flat().filter(value => value !== null));
+    const scale = max > 0 ? 100 / max : 1;
+    Object.keys(values).forEach(label => {
+        values[label] = values[label].map(value => (value === null ? null : value * scale));
+    });
+
+    return {
+        timestamps,
+        values,
+        factors: factors.map(factor => (factor === null ? null : factor * scale)),
+        zeroAnchorGroups
+    };
+}
+
+/**
+ * Adds the merged results of groups requested with a new anchor to earlier merged results.
+ * Both are put on one scale through a bridge keyword requested in both (ratio of sums over
+ * shared timestamps), and keywords without values in `base` take theirs from `addition`.
+ * When `base` has no values at all, `addition` is used as is. When the bridge is missing or
+ * all zeros on either side, `base` keeps its values and the added groups count as not rescaled.
+ *
+ * @param {Object} base - Result of mergeAnchoredResults (or of an earlier combineAnchoredResults)
+ * @param {Object} addition - Result of mergeAnchoredResults for the groups of the new anchor
+ * @param {string|null} bridge - Label of the keyword requested with both anchors
+ * @returns {{timestamps: number[], values: Object<string, Array<number|null>>, factors: Array<number|null>, zeroAnchorGroups: number[]}}
+ *     Merged matrix normalized to a maximum of 100, with the factors and zero anchor groups of `base`
+ *     followed by those of `addition`
+ */
+function combineAnchoredResults(base, addition, bridge) {
+    const offset = base.factors.length;
+    const addedZeroGroups = addition.zeroAnchorGroups.map(index => index + offset);
+
+    if (base.factors.every(factor => factor === null)) {
+        return {
+            ...addition,
+            factors: [...base.factors, ...addition.factors],
+            zeroAnchorGroups: [...base.zeroAnchorGroups, ...addedZeroGroups]
+        };
+    }
+
+    const positions = new Map(addition.timestamps.map((timestamp, i) => [timestamp, i]));
+    const shared = base.timestamps.filter(timestamp => positions.has(timestamp));
+    const baseSum = bridge && base.values[bridge]
+        ? sumValues(shared.map(timestamp => base.values[bridge][base.timestamps.indexOf(timestamp)]))
+        : 0;
+    const additionSum = bridge && addition.values[bridge]
+        ? sumValues(shared.map(timestamp => addition.values[bridge][positions.get(timestamp)]))
+        : 0;
+    const factor = baseSum > 0 && additionSum > 0 ? baseSum / additionSum : null;
+
+    if (factor === null) {
+        return {
+            ...base,
+            factors: [...base.factors, ...addition.factors.map(() => null)],
+            zeroAnchorGroups: [...base.zeroAnchorGroups, ...addition.factors.map((_, i) => i + offset)]
+        };
+    }
+
+    const values = { ...base.values };
+    Object.entries(addition.values).forEach(([label, series]) => {
+        const known = values[label] && values[label].some(value => value !== null);
+        if (label === bridge || known) {
+            return;
+        }
+        values[label] = base.timestamps.map(timestamp => {
+            const value = positions.has(timestamp) ? series[positions.get(timestamp)] : null;
+            return value === null || value === undefined ? null : value * factor;
+        });
+    });
+
+    const max = Math.max(0, ...Object.values(values).flat().filter(value => value !== null));
+    const scale = max > 0 ? 100 / max : 1;
+    Object.keys(values).forEach(label => {
+        values[label] = values[label].map(value => (value === null ? null : value * scale));
+    });
+
+    return {
+        timestamps: base.timestamps,
+        values,
+        factors: [
+            ...base.factors.map(value => (value === null ? null : value * scale)),
+            ...addition.factors.map(value => (value === null ? null : value * factor * scale))
+        ],
+        zeroAnchorGroups: [...base.zeroAnchorGroups, ...addedZeroGroups]
+    };
+}
+
+/**
+ * Finds the keyword with the highest total interest in a group, to replace an anchor that rounded to zero.
+ *
+ * @param {{values: Object<string, number[]>}} result - interestOverTime result of one group, anchor first
+ * @returns {number} Position of the strongest non-anchor keyword in the group, or -1 if none has any interest
+ */
+function strongestKeyword(result) {
+    let best = -1;
+    let bestSum = 0;
+    Object.values((result && result.values) || {}).forEach((series, i) => {
+        const sum = sumValues(series);
+        if (i > 0 && sum > bestSum) {
+            best = i;
+            bestSum = sum;
+        }
+    });
+    return best;
+}
+
+module.exports = {
+    ANCHOR_GROUP_SIZE,
+    anchorGroups,
+    mergeAnchoredResults,
+    combineAnchoredResults,
+    strongestKeyword
+};
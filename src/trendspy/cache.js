@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Interface for response cache backends. Any object with these async methods can be
+ * passed as the `cache` option of Trends.
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<*>} get - Resolve the stored value, or undefined if missing or expired
+ * @property {function(string, *, number): Promise<void>} set - Store a value for ttl seconds
+ * @property {function(string): Promise<void>} delete - Remove a value
+ * @property {function(): Promise<void>} [clear] - Remove every value
+ */
+
+/**
+ * @constant {Object.<string, number>}
+ * Default time-to-live in seconds per endpoint (see endpointName). 0 disables caching.
+ */
+const DEFAULT_CACHE_TTL = {
+    embed: 300,          // Explore/embed pages holding the widget tokens
+    widgetdata: 3600,    // Data behind the tokens
+    batchexecute: 300,   // Trending Now
+    realtime: 300,       // Trending stories
+    rss: 300,
+    autocomplete: 86400,
+    pickers: 86400,      // Geo and category trees
+    topcharts: 86400,
+    default: 600
+};
+
+/**
+ * Classifies a request URL into an endpoint name, used for cache TTLs and request scheduling.
+ * `embed` covers the explore widget pages (trends/embed/explore/...).
+ * @param {string} url - Request URL
+ * @returns {string} Endpoint name
+ *
+ * @example
+ * endpointName('https://trends.google.com/trends/api/widgetdata/multiline') // returns "widgetdata"
+ */
+function endpointName(url) {
+    const patterns = [
+        ['batchexecute', '/batchexecute'],
+        ['widgetdata', '/widgetdata/'],
+        ['embed', '/embed/'],
+        ['autocomplete', '/autocomplete/'],
+        ['pickers', '/pickers/'],
+        ['realtime', '/realtimetrends'],
+        ['topcharts', '/topcharts'],
+        ['rss', '/rss']
+    ];
+    const match = patterns.find(([, pattern]) => url.includes(pattern));
+    return match ? match[0] : 'default';
+}
+
+/**
+ * Builds a cache key from a request. Parameters are sorted so their order does not matter.
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} [params] - Query parameters
+ * @param {string} [body] - Encoded request body
+ * @returns {string} SHA-256 hex digest
+ */
+function cacheKey(method, url, params = null, body = null) {
+    const sortedParams = Object.keys(params || {})
+        .sort()
+        .map(key => [key, params[key]]);
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([method.toUpperCase(), url, sortedParams, body || '']))
+        .digest('hex');
+}
+
+/**
+ * In-memory cache backend. Entries live as long as the instance.
+ * @implements {CacheStore}
+ */
+class MemoryCache {
+    constructor() {
+        this._entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this._entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            this._entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttl) {
+        this._entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    }
+
+    async delete(key) {
+        this._entries.delete(key);
+    }
+
+    async clear() {
+        this._entries.clear();
+    }
+}
+
+// Prefix of FileCache entry files, so that clear() leaves other files of the directory alone
+const FILE_CACHE_PREFIX = 'trendspy-cache-';
+
+/**
+ * Filesystem cache backend. Each entry is a JSON file in `directory`
+ * (`trendspy-cache-<hash>.json`), so the cache survives restarts and can be
+ * shared between processes.
+ * @implements {CacheStore}
+ */
+class FileCache {
+    /**
+     * @param {string} directory - Directory holding the cache files (created if missing)
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Get the file path of a key
+     * @private
+     */
+    _path(key) {
+        const name = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.directory, `${FILE_CACHE_PREFIX}${name}.json`);
+    }
+
+    async get(key) {
+        let entry;
+        try {
+            entry = JSON.parse(await fs.promises.readFile(this._path(key), 'utf8'));
+        } catch (error) {
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            await this.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttl) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const entry = { key, value, expiresAt: Date.now() + ttl * 1000 };
+        await fs.promises.writeFile(this._path(key), JSON.stringify(entry));
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this._path(key), { force: true });
+    }
+
+    /**
+     * Remove every entry of the cache. Other files in the directory are kept.
+     */
+    async clear() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            return;
+        }
+        await Promise.all(files
+            .filter(file => file.startsWith(FILE_CACHE_PREFIX) && file.endsWith('.json'))
+            .map(file => fs.promises.rm(path.join(this.directory, file), { force: true })));
+    }
+}
+
+module.exports = {
+    DEFAULT_CACHE_TTL,
+    endpointName,
+    cacheKey,
+    MemoryCache,
+    FileCache
+};
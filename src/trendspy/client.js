@@ -1,17 +1,58 @@
 const axios = require('axios');
+const { EventEmitter } = require('events');
 const { DateTime } = require('luxon');
 const { URLSearchParams } = require('url');
-const { ensureList, decodeEscapeText, convertTimeframe, checkTimeframeResolution } = require('./utils');
+const {
+    ensureList,
+    keywordValue,
+    entityTitles,
+    decodeEscapeText,
+    convertTimeframe,
+    checkTimeframeResolution,
+    withCallSignal,
+    abortError,
+    throwIfAborted,
+    sleep,
+    geoResolutions,
+    checkGeoResolution
+} = require('./utils');
 const TrendsDataConverter = require('./converter');
+const { createHierarchicalIndex } = require('./hierarchical_search');
+const { TrendKeyword, TrendKeywordLite, filterTrends, sortTrends } = require('./trend_keyword');
+const { splitTimeframe, stitchSeries } = require('./stitching');
+const {
+    anchorGroups,
+    mergeAnchoredResults,
+    combineAnchoredResults,
+    strongestKeyword
+} = require('./anchoring');
+const { DEFAULT_CACHE_TTL, endpointName, cacheKey, MemoryCache } = require('./cache');
+const { RequestScheduler } = require('./scheduler');
+const {
+    parseRetryAfter,
+    TrendsRequestError,
+    TrendsRateLimitError,
+    TrendsQuotaExceededError,
+    TrendsSessionError,
+    TrendsNetworkError,
+    TrendsParseError,
+    TrendsInvalidArgumentError,
+    TrendsAbortError,
+    TrendsReplayError
+} = require('./errors');
+const { normalizeLogger } = require('./logger');
+const { ProxyPool, toAxiosProxy, proxyLabel } = require('./proxy_pool');
+const { ExchangeRecorder } = require('./recorder');
 const tough = require('tough-cookie');
 const { wrapper } = require('axios-cookiejar-support');
 
 // Constants
-const BATCH_URL = 'https://trends.google.com/_/TrendsUi/data/batchexecute';
-const HOT_TRENDS_URL = 'https://trends.google.com/trends/hottrends/visualize/internal/data';
+const TRENDS_URL = 'https://trends.google.com';
+const BATCH_URL = `${TRENDS_URL}/_/TrendsUi/data/batchexecute`;
+const HOT_TRENDS_URL = `${TRENDS_URL}/trends/hottrends/visualize/internal/data`;
 
 // API Links
-const API_URL = 'https://trends.google.com/trends/api';
+const API_URL = `${TRENDS_URL}/trends/api`;
 const API_EXPLORE_URL = `${API_URL}/explore`;
 const API_GEO_DATA_URL = `${API_URL}/explore/pickers/geo`;
 const API_CATEGORY_URL = `${API_URL}/explore/pickers/category`;
@@ -20,22 +61,25 @@ const API_AUTOCOMPLETE = `${API_URL}/autocomplete/`;
 const DAILY_SEARCHES_URL = `${API_URL}/dailytrends`;
 const REALTIME_SEARCHES_URL = `${API_URL}/realtimetrends`;
 
-const API_TOKEN_URL = 'https://trends.google.com/trends/api/widgetdata';
+const API_TOKEN_URL = `${API_URL}/widgetdata`;
 const API_TIMELINE_URL = `${API_TOKEN_URL}/multiline`;
 const API_MULTIRANGE_URL = `${API_TOKEN_URL}/multirange`;
 const API_GEO_URL = `${API_TOKEN_URL}/comparedgeo`;
 const API_RELATED_QUERIES_URL = `${API_TOKEN_URL}/relatedsearches`;
 
 // Embed Links
-const EMBED_URL = 'https://trends.google.com/trends/embed/explore';
+const EMBED_URL = `${TRENDS_URL}/trends/embed/explore`;
 const EMBED_GEO_URL = `${EMBED_URL}/GEO_MAP`;
 const EMBED_TOPICS_URL = `${EMBED_URL}/RELATED_TOPICS`;
 const EMBED_QUERIES_URL = `${EMBED_URL}/RELATED_QUERIES`;
 const EMBED_TIMESERIES_URL = `${EMBED_URL}/TIMESERIES`;
 
 // RSS Links
-const DAILY_RSS = 'https://trends.google.com/trends/trendingsearches/daily/rss';
-const REALTIME_RSS = 'https://trends.google.com/trending/rss';
+const DAILY_RSS = `${TRENDS_URL}/trends/trendingsearches/daily/rss`;
+const REALTIME_RSS = `${TRENDS_URL}/trending/rss`;
+
+// Maximum number of keyword/timeframe/geo items Google compares in one request
+const MAX_COMPARISON_ITEMS = 5;
 
 // Batch periods enum
 const BatchPeriod = {
@@ -45,33 +89,53 @@ const BatchPeriod = {
     Past7D: 4   // 43 points (every 4 hours)
 };
 
-class TrendsQuotaExceededError extends Error {
-    constructor() {
-        super(
-            "API quota exceeded for related queries/topics. " +
-            "To resolve this, you can try:\n" +
-            "1. Use a different referer in request headers:\n" +
-            "   tr.relatedQueries(keyword, { headers: { referer: 'https://www.google.com/' } })\n" +
-            "2. Use a different IP address by configuring a proxy:\n" +
-            "   tr.setProxy('http://proxy:port')\n" +
-            "   # or\n" +
-            "   new Trends({ proxy: { http: 'http://proxy:port', https: 'https://proxy:port' } })\n" +
-            "3. Wait before making additional requests"
-        );
-        this.name = 'TrendsQuotaExceededError';
-    }
-}
-
-class Trends {
+/**
+ * Google Trends client.
+ *
+ * Emits lifecycle events that can be subscribed to with `on`:
+ * - `request` { method, url, attempt }: before each HTTP request
+ * - `response` { method, url, status, durationMs, fromCache }: after each HTTP response
+ * - `retry` { url, attempt, status, error, waitSeconds }: when a failed request is retried
+ * - `rateLimited` { url, status, waitSeconds, retryAfter }: on a 429/302 response
+ * - `sessionInit` { success, error }: after the session cookies were (re)initialized
+ * - `quotaExceeded` { url }: when the embedded widget quota is exhausted
+ *
+ * Every public request method accepts `signal` (an AbortSignal) and `timeout` (milliseconds)
+ * in its options. Aborting cancels the in-flight request, pending retries and back-off waits,
+ * and rejects with a TrendsAbortError (`timedOut` is set when the timeout expired).
+ *
+ * Keyword arguments accept search terms, topic MIDs ('/m/05z1_') and entity objects
+ * ({ mid, title }, as returned by suggestions and relatedTopics). Topics are labelled
+ * "Title [mid]" in results, so a topic is never confused with the search term of the same name.
+ */
+class Trends extends EventEmitter {
     /**
      * Initialize the Trends client
      * @param {Object} options Configuration options
      * @param {string} [options.language='en'] Language code (e.g., 'en', 'es', 'fr')
      * @param {number} [options.tzs=360] Timezone offset in minutes
-     * @param {number} [options.requestDelay=5.0] Minimum time interval between requests in seconds
+     * @param {number} [options.requestDelay=5.0] Minimum time interval between requests in seconds.
+     *     Ignored when `scheduler` sets its own rate
      * @param {number} [options.maxRetries=3] Maximum number of retry attempts for failed requests
      * @param {boolean} [options.useEntityNames=false] Whether to use entity names instead of keywords
      * @param {Object|string} [options.proxy=null] Proxy configuration
+     * @param {Array<string|Object>|ProxyPool} [options.proxies=null] Pool of proxies to rotate through.
+     *     Each proxy keeps its own cookie jar; takes precedence over `proxy`
+     * @param {string} [options.proxyRotation='session'] 'request' to rotate on every request,
+     *     'session' to keep a proxy until it fails
+     * @param {number} [options.proxyCooldown=300] Seconds a failing or rate-limited proxy is quarantined
+     * @param {CacheStore|boolean} [options.cache=null] Response cache: a MemoryCache, FileCache or any
+     *     CacheStore implementation (`true` for a MemoryCache). Disabled by default
+     * @param {Object.<string, number>} [options.cacheTtl={}] Time-to-live in seconds per endpoint,
+     *     overriding DEFAULT_CACHE_TTL (e.g. { widgetdata: 86400, embed: 0 })
+     * @param {RequestScheduler|Object} [options.scheduler=null] Request scheduler to share between clients,
+     *     or RequestScheduler options ({ rate, burst, concurrency, endpoints })
+     * @param {Logger} [options.logger=null] Logger receiving (message, fields) at debug/info/warn/error
+     *     levels, e.g. createConsoleLogger('info') or console. Nothing is logged by default
+     * @param {string} [options.baseUrl='https://trends.google.com'] Origin requests are sent to,
+     *     e.g. the URL of a local mock server
+     * @param {ExchangeRecorder|Object} [options.recorder=null] Record HTTP exchanges to a fixture directory
+     *     or replay them offline: an ExchangeRecorder or { mode: 'record'|'replay', directory }
      */
     constructor(options = {}) {
         const {
@@ -80,9 +144,22 @@ class Trends {
             requestDelay = 5.0,
             maxRetries = 3,
             useEntityNames = false,
-            proxy = null
+            proxy = null,
+            proxies = null,
+            proxyRotation = 'session',
+            proxyCooldown = 300,
+            cache = null,
+            cacheTtl = {},
+            scheduler = null,
+            logger = null,
+            baseUrl = TRENDS_URL,
+            recorder = null
         } = options;
 
+        super();
+        this.logger = normalizeLogger(logger);
+
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
         this.language = this._validateLanguage(language);
         this.tzs = tzs || -DateTime.local().offset;
         this._defaultParams = { hl: this.language, tz: this.tzs };
@@ -108,22 +185,118 @@ class Trends {
         this._categoryCache = new Map();
         this.requestDelay = requestDelay;
         this.maxRetries = maxRetries;
-        this.lastRequestTimes = new Set([0, 1]);
+        this.scheduler = scheduler instanceof RequestScheduler
+            ? scheduler
+            : new RequestScheduler({
+                ...(requestDelay ? { rate: 1 / requestDelay, burst: 1 } : {}),
+                concurrency: 2,
+                ...(scheduler || {})
+            });
+        this.cache = cache === true ? new MemoryCache() : (cache || null);
+        this.cacheTtl = { ...DEFAULT_CACHE_TTL, ...cacheTtl };
         
-        // Setup cookie jar
-        this.cookieJar = new tough.CookieJar();
-        
-        // Initialize axios instance with default config
-        this.session = wrapper(axios.create({
-            headers: this._headers,
-            jar: this.cookieJar,
-            withCredentials: true
-        }));
+        // Setup cookie jar and axios instance with default config
+        ({ session: this.session, cookieJar: this.cookieJar } = this._createSession());
         
         // Set proxy if provided
         if (proxy) {
             this.setProxy(proxy);
         }
+
+        // Proxy pool, with one session (and cookie jar) per proxy
+        this.proxyPool = proxies instanceof ProxyPool
+            ? proxies
+            : (proxies ? new ProxyPool(proxies, { rotation: proxyRotation, cooldown: proxyCooldown }) : null);
+        this._proxySessions = new Map();
+        this._responseProxies = new WeakMap();
+
+        this.recorder = recorder instanceof ExchangeRecorder
+            ? recorder
+            : (recorder ? new ExchangeRecorder(recorder.directory, { mode: recorder.mode }) : null);
+        // Parameters fixtures are keyed on, for requests whose sent parameters change from run to run
+        this._fixtureParams = new WeakMap();
+    }
+
+    /**
+     * Point a Google Trends URL at the configured base URL
+     * @param {string} url URL on https://trends.google.com
+     * @returns {string}
+     * @private
+     */
+    _url(url) {
+        return url.startsWith(TRENDS_URL) ? this.baseUrl + url.slice(TRENDS_URL.length) : url;
+    }
+
+    /**
+     * Whether requests are served from recorded fixtures instead of the network
+     * @private
+     */
+    get _replaying() {
+        return Boolean(this.recorder && this.recorder.mode === 'replay');
+    }
+
+    /**
+     * Create an axios instance with its own cookie jar
+     * @param {Object} [proxy] axios proxy configuration
+     * @private
+     */
+    _createSession(proxy = null) {
+        const cookieJar = new tough.CookieJar();
+        const config = {
+            headers: this._headers,
+            jar: cookieJar,
+            withCredentials: true
+        };
+        if (proxy) {
+            config.proxy = proxy;
+        }
+        return { session: wrapper(axios.create(config)), cookieJar };
+    }
+
+    /**
+     * Get the session to send the next request with: the default one, or the one
+     * of the proxy picked by the pool
+     * @private
+     */
+    _acquireSession() {
+        if (!this.proxyPool) {
+            return { session: this.session, cookieJar: this.cookieJar, proxyEntry: null };
+        }
+        const proxyEntry = this.proxyPool.acquire();
+        if (!this._proxySessions.has(proxyEntry)) {
+            this._proxySessions.set(proxyEntry, this._createSession(proxyEntry.axiosProxy));
+        }
+        return { ...this._proxySessions.get(proxyEntry), proxyEntry };
+    }
+
+    /**
+     * Report the outcome of a request to the proxy pool
+     * @param {Object} context Session context returned by _acquireSession
+     * @param {boolean} success Whether the request succeeded
+     * @param {boolean} [rateLimited=false] Whether the failure was a rate limit or quota response
+     * @private
+     */
+    _reportProxy(context, success, rateLimited = false) {
+        if (!context || !context.proxyEntry) {
+            return;
+        }
+        if (success) {
+            this.proxyPool.reportSuccess(context.proxyEntry);
+        } else {
+            this.proxyPool.reportFailure(context.proxyEntry, { rateLimited });
+            this.logger.info('Proxy quarantined', {
+                proxy: proxyLabel(context.proxyEntry.axiosProxy),
+                rateLimited
+            });
+        }
+    }
+
+    /**
+     * Get success and error statistics of each proxy of the pool
+     * @returns {Array<Object>} See ProxyPool#stats; empty without a pool
+     */
+    proxyStats() {
+        return this.proxyPool ? this.proxyPool.stats() : [];
     }
 
     /**
@@ -142,35 +315,43 @@ class Trends {
      * @param {Object|string} proxy Proxy configuration
      */
     setProxy(proxy) {
-        if (typeof proxy === 'string') {
-            proxy = {
-                http: proxy,
-                https: proxy
-            };
-        }
-
         if (proxy) {
-            this.session.defaults.proxy = proxy;
+            this.session.defaults.proxy = toAxiosProxy(proxy);
         } else {
             delete this.session.defaults.proxy;
         }
     }
 
     /**
-     * Extract keywords from token
+     * Get the bullets of a token, completing topic titles that Google left out with
+     * the titles of the entity objects the caller passed
      * @private
      */
-    _extractKeywordsFromToken(token) {
-        if (this.useEntityNames) {
-            return token.bullets.map(item => item.text);
-        }
-        return token.request.comparisonItem.map(item => 
-            item.complexKeywordsRestriction.keyword[0].value
+    _tokenBullets(token, keywords = []) {
+        const titles = entityTitles(ensureList(keywords));
+        return TrendsDataConverter.tokenToBullets(token).map(bullet =>
+            bullet.mid && !bullet.title && titles.has(bullet.mid)
+                ? { ...bullet, title: titles.get(bullet.mid) }
+                : bullet
+        );
+    }
+
+    /**
+     * Extract column labels from token: the keyword (or entity name) of each comparison
+     * item, qualified by its timeframe and geo when these differ between items
+     * @private
+     */
+    _extractKeywordsFromToken(token, keywords = []) {
+        return TrendsDataConverter.comparisonLabels(
+            this._tokenBullets(token, keywords),
+            this.useEntityNames
         );
     }
 
     /**
      * Parse protected JSON response
+     * @throws {TrendsRequestError} If the response status is not 200
+     * @throws {TrendsParseError} If the response is not the expected JSON
      * @private
      */
     static _parseProtectedJson(response) {
@@ -184,168 +365,480 @@ class Trends {
             .split(';')[0]
             .trim()
             .toLowerCase();
+        const details = {
+            url: response.config?.url,
+            status: response.status,
+            response: response.data
+        };
 
-        if (response.status !== 200 || !validContentTypes.includes(contentType)) {
-            throw new Error(
-                `Invalid response: status ${response.status}, ` +
-                `content type '${contentType}'`
-            );
+        if (response.status !== 200) {
+            throw new TrendsRequestError(`Invalid response: status ${response.status}`, details);
+        }
+
+        if (!validContentTypes.includes(contentType)) {
+            throw new TrendsParseError(`Invalid response: content type '${contentType}'`, details);
         }
 
+        return Trends._parseJson(String(response.data).split('\n').pop(), details);
+    }
+
+    /**
+     * Parse JSON text
+     * @param {string} text JSON text
+     * @param {Object} details Request context of the error (url, status, response)
+     * @throws {TrendsParseError} If the text is not valid JSON
+     * @private
+     */
+    static _parseJson(text, details) {
         try {
-            const jsonData = response.data.split('\n').pop();
-            return JSON.parse(jsonData);
+            return JSON.parse(text);
         } catch (error) {
-            throw new Error('Failed to parse JSON data');
+            throw new TrendsParseError('Failed to parse JSON data', { ...details, cause: error });
         }
     }
 
+    /**
+     * Parse a batchexecute response into its list of envelope entries
+     * @throws {TrendsRequestError} If the response status is not 200
+     * @throws {TrendsParseError} If the response is not a list of entries
+     * @private
+     */
+    static _parseBatch(response) {
+        const data = Trends._parseProtectedJson(response);
+        if (!Array.isArray(data)) {
+            throw new TrendsParseError('Unexpected batchexecute response', {
+                url: response.config?.url,
+                status: response.status,
+                response: response.data
+            });
+        }
+        return data;
+    }
+
+    /**
+     * Decode the JSON payload of a "wrb.fr" RPC result entry
+     * @param {Array} entry Envelope entry
+     * @param {Object} response Response the entry was read from
+     * @throws {TrendsParseError} If the entry is not an RPC result with a JSON payload
+     * @private
+     */
+    static _batchPayload(entry, response) {
+        const details = { url: response.config?.url, status: response.status, response: response.data };
+        if (!Array.isArray(entry) || entry[0] !== 'wrb.fr' || typeof entry[2] !== 'string') {
+            throw new TrendsParseError('Unexpected batchexecute response', details);
+        }
+        return Trends._parseJson(entry[2], details);
+    }
+
     /**
      * Initialize session with Google Trends
+     * @param {Object} [context] Session context returned by _acquireSession (defaults to the main session)
+     * @param {AbortSignal} [signal] Signal cancelling the initialization
+     * @throws {TrendsAbortError} If the signal is aborted
      * @private
      */
-    async _initSession() {
+    async _initSession(context = null, signal = null) {
+        // Replayed requests need no cookies
+        if (this._replaying) {
+            return true;
+        }
+        const session = context ? context.session : this.session;
+        this.logger.debug('Initializing session');
         try {
             // Visit the main page first to get initial cookies
-            await this.session.get('https://trends.google.com/', {
+            await session.get(this._url(`${TRENDS_URL}/`), {
                 headers: {
                     ...this._headers,
                     'referer': 'https://www.google.com/'
-                }
+                },
+                signal
             });
 
             // Small delay to appear more human-like
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            await sleep(2000, signal);
 
             // Visit the explore page to get additional cookies
-            await this.session.get('https://trends.google.com/trends/explore', {
+            await session.get(this._url(`${TRENDS_URL}/trends/explore`), {
                 headers: {
                     ...this._headers,
                     'referer': 'https://trends.google.com/'
-                }
+                },
+                signal
             });
 
+            this.emit('sessionInit', { success: true, error: null });
             return true;
         } catch (error) {
-            console.error('Failed to initialize session:', error.message);
+            if (signal && signal.aborted) {
+                throw abortError(signal);
+            }
+            this.logger.warn('Failed to initialize session', { error: error.message });
+            this.emit('sessionInit', { success: false, error });
             return false;
         }
     }
 
+    /**
+     * Run a request through the scheduler
+     * @param {string} url Request URL, used to pick the endpoint limits
+     * @param {function(): Promise} request Function sending the request
+     * @param {AbortSignal} [signal] Signal dropping the request from the queue
+     * @private
+     */
+    _schedule(url, request, signal = null) {
+        // Replayed requests never reach Google, so there is nothing to pace
+        if (this._replaying) {
+            return request();
+        }
+        return this.scheduler.schedule(request, { endpoint: endpointName(url), signal });
+    }
+
+    /**
+     * Send a request with a session, or replay it, recording the exchange when recording
+     * @param {Object} context Session context returned by _acquireSession
+     * @param {string} method 'GET' or 'POST'
+     * @param {string} url Request URL
+     * @param {Object} [config] axios request config
+     * @param {string} [body] Encoded POST body
+     * @throws {TrendsReplayError} If replaying and no fixture matches the request
+     * @private
+     */
+    async _send(context, method, url, config = {}, body = null) {
+        const params = config.params || null;
+        const request = { method, url, params: (params && this._fixtureParams.get(params)) || params, body };
+        if (this._replaying) {
+            return this.recorder.replay(request);
+        }
+
+        const response = method === 'POST'
+            ? await context.session.post(this._url(url), body, config)
+            : await context.session.get(this._url(url), config);
+        if (this.recorder) {
+            await this.recorder.record(request, response);
+        }
+        return response;
+    }
+
+    /**
+     * Log and emit a `response` event
+     * @private
+     */
+    _emitResponse(method, url, response, startTime) {
+        const event = {
+            method,
+            url,
+            status: response.status,
+            durationMs: Date.now() - startTime,
+            fromCache: Boolean(response.fromCache)
+        };
+        this.logger.debug('response', event);
+        this.emit('response', event);
+    }
+
+    /**
+     * Read a cached response, if caching is enabled for the endpoint
+     * @private
+     */
+    async _readCache(method, url, params = null, body = null) {
+        if (!this.cache || !this.cacheTtl[endpointName(url)]) {
+            return null;
+        }
+        const cached = await this.cache.get(cacheKey(method, url, params, body));
+        return cached ? { ...cached, fromCache: true } : null;
+    }
+
+    /**
+     * Store a successful response, if caching is enabled for the endpoint
+     * @private
+     */
+    async _writeCache(method, url, params, body, response) {
+        const ttl = this.cacheTtl[endpointName(url)];
+        if (!this.cache || !ttl || response.status !== 200) {
+            return;
+        }
+        const headers = typeof response.headers.toJSON === 'function'
+            ? response.headers.toJSON()
+            : { ...response.headers };
+        await this.cache.set(
+            cacheKey(method, url, params, body),
+            { status: response.status, headers, data: response.data },
+            ttl
+        );
+    }
+
+    /**
+     * Drop a cached response, e.g. a token page that turned out to be over quota
+     * @private
+     */
+    async _invalidateCache(method, url, params = null, body = null) {
+        if (this.cache) {
+            await this.cache.delete(cacheKey(method, url, params, body));
+        }
+    }
+
     /**
      * Make HTTP GET request with retry logic
+     * @param {AbortSignal} [signal] Signal cancelling the request, its retries and back-off waits
+     * @throws {TrendsAbortError} If the signal is aborted
      * @private
      */
-    async _get(url, params = null, headers = null) {
-        // Initialize session if needed
-        if (!this.cookieJar.store.idx?.['trends.google.com']) {
-            await this._initSession();
+    async _get(url, params = null, headers = null, signal = null) {
+        throwIfAborted(signal);
+        const cached = await this._readCache('GET', url, params);
+        if (cached) {
+            this._emitResponse('GET', url, cached, Date.now());
+            return cached;
         }
 
         let retries = this.maxRetries;
         const responseCodes = [];
         let lastResponse = null;
+        let lastError = null;
 
         while (retries > 0) {
-            try {
-                if (this.requestDelay) {
-                    const minTime = Math.min(...this.lastRequestTimes);
-                    const sleepTime = Math.max(
-                        0,
-                        this.requestDelay * 1000 - (Date.now() - minTime)
-                    );
-                    if (sleepTime > 0) {
-                        await new Promise(resolve => setTimeout(resolve, sleepTime));
-                    }
-                    this.lastRequestTimes = new Set([
-                        ...Array.from(this.lastRequestTimes)
-                            .filter(t => t !== minTime),
-                        Date.now()
-                    ]);
-                }
+            const context = this._acquireSession();
 
-                const requestHeaders = {
-                    ...this._headers,
-                    ...headers,
-                    'referer': 'https://trends.google.com/trends/explore'
-                };
-
-                const response = await this.session.get(url, {
-                    params,
-                    headers: requestHeaders,
-                    maxRedirects: 5
-                });
+            // Initialize session if needed
+            if (!context.cookieJar.store.idx?.[new URL(this.baseUrl).hostname]) {
+                await this._initSession(context, signal);
+            }
 
-                lastResponse = response;
-                responseCodes.push(response.status);
+            const requestHeaders = {
+                ...this._headers,
+                ...headers,
+                'referer': 'https://trends.google.com/trends/explore'
+            };
 
-                if (response.status === 200) {
-                    return response;
-                }
+            const attempt = this.maxRetries - retries + 1;
+            let startTime = Date.now();
 
-                if ([429, 302].includes(response.status)) {
-                    const waitTime = Math.pow(2, this.maxRetries - retries) * 5;
-                    console.log(`Rate limit hit, waiting ${waitTime} seconds before retry`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
-                }
-                retries--;
+            let response;
+            try {
+                response = await this._schedule(url, () => {
+                    startTime = Date.now();
+                    this.logger.debug('request', { method: 'GET', url, attempt });
+                    this.emit('request', { method: 'GET', url, attempt });
+                    return this._send(context, 'GET', url, {
+                        params,
+                        headers: requestHeaders,
+                        maxRedirects: 5,
+                        // Resolve every status so it can be handled below
+                        validateStatus: null,
+                        signal
+                    });
+                }, signal);
             } catch (error) {
-                console.error('Request error:', error.message);
-                if (error.response) {
-                    console.error('Response status:', error.response.status);
-                    console.error('Response data:', error.response.data);
+                // Cancellation is not a failure of the proxy and must not be retried
+                if (error instanceof TrendsAbortError || (signal && signal.aborted)) {
+                    throw abortError(signal);
                 }
-                if (retries === 0) throw error;
+                if (error instanceof TrendsReplayError) {
+                    throw error;
+                }
+                this.logger.warn('Request error', { url, attempt, error: error.message });
+                this._reportProxy(context, false);
+                lastError = error;
                 retries--;
+                if (retries > 0) {
+                    this.emit('retry', { url, attempt, status: null, error, waitSeconds: 0 });
+                }
+                continue;
+            }
+
+            this._emitResponse('GET', url, response, startTime);
+            lastResponse = response;
+            responseCodes.push(response.status);
+
+            if (response.status === 200) {
+                this._reportProxy(context, true);
+                this._responseProxies.set(response, context);
+                await this._writeCache('GET', url, params, null, response);
+                return response;
+            }
 
-                // If session seems invalid, try to reinitialize
-                if (error.response?.status === 401 || error.response?.status === 403) {
-                    await this._initSession();
+            if ([429, 302].includes(response.status)) {
+                this._reportProxy(context, false, true);
+                const retryAfter = parseRetryAfter(response.headers['retry-after']);
+                // No need to back off when replaying or when another healthy proxy can take the retry
+                const waitTime = this._replaying || (this.proxyPool && this.proxyPool.hasAvailable())
+                    ? 0
+                    : Math.max(Math.pow(2, this.maxRetries - retries) * 5, retryAfter || 0);
+                this.logger.info('Rate limit hit, waiting before retry', {
+                    url,
+                    status: response.status,
+                    waitSeconds: waitTime
+                });
+                this.emit('rateLimited', { url, status: response.status, waitSeconds: waitTime, retryAfter });
+                if (retries > 1) {
+                    this.emit('retry', { url, attempt, status: response.status, error: null, waitSeconds: waitTime });
+                    await sleep(waitTime * 1000, signal);
+                }
+            } else {
+                this.logger.warn('Unexpected response status', { url, status: response.status, attempt });
+                // Client errors (400, 404, ...) say nothing about the proxy, only server errors count against it
+                if (response.status >= 500) {
+                    this._reportProxy(context, false);
+                }
+                if (retries > 1) {
+                    this.emit('retry', { url, attempt, status: response.status, error: null, waitSeconds: 0 });
+                }
+                if ([401, 403].includes(response.status)) {
+                    // Session seems invalid, try to reinitialize
+                    await this._initSession(context, signal);
                 }
             }
+            retries--;
         }
 
         if (responseCodes.filter(code => code === 429).length > responseCodes.length / 2) {
             const currentDelay = this.requestDelay || 1;
-            console.warn(
-                `\nWarning: Too many rate limit errors (429). Consider increasing requestDelay ` +
+            this.logger.warn(
+                `Too many rate limit errors (429). Consider increasing requestDelay ` +
                 `to new Trends({ requestDelay: ${currentDelay * 2} }) before Google implements ` +
-                `a long-term rate limit!`
+                `a long-term rate limit!`,
+                { url, responseCodes }
             );
         }
 
-        throw new Error(`Failed after ${this.maxRetries} retries`);
+        const message = `Failed after ${this.maxRetries} retries`;
+        if (!lastResponse) {
+            throw new TrendsNetworkError(`${message}: ${lastError.message}`, {
+                url,
+                retries: this.maxRetries,
+                cause: lastError
+            });
+        }
+        throw Trends._statusError(message, url, lastResponse, this.maxRetries);
+    }
+
+    /**
+     * Build the typed error of a response that is not a 200
+     * @param {string} message Start of the error message
+     * @param {string} url Requested URL
+     * @param {Object} response Last response
+     * @param {number} retries Number of attempts made
+     * @returns {TrendsRequestError} TrendsRateLimitError for 429 and 302 responses,
+     *     TrendsSessionError for 401 and 403 responses
+     * @private
+     */
+    static _statusError(message, url, response, retries) {
+        const details = {
+            url,
+            status: response.status,
+            retries,
+            response: response.data,
+            retryAfter: parseRetryAfter(response.headers?.['retry-after'])
+        };
+        if ([429, 302].includes(response.status)) {
+            return new TrendsRateLimitError(`${message}: rate limited (status ${response.status})`, details);
+        }
+        if ([401, 403].includes(response.status)) {
+            return new TrendsSessionError(`${message}: session rejected (status ${response.status})`, details);
+        }
+        return new TrendsRequestError(`${message}: status ${response.status}`, details);
+    }
+
+    /**
+     * Send a single request, without retries, and map its failures to typed errors
+     * @param {string} method HTTP method
+     * @param {string} url URL to request
+     * @param {Object} config Axios request config
+     * @param {*} [body] Request body
+     * @param {AbortSignal} [signal] Signal cancelling the request
+     * @returns {Promise<Object>} Response with status 200
+     * @throws {TrendsNetworkError|TrendsRequestError|TrendsAbortError}
+     * @private
+     */
+    async _sendOnce(method, url, config, body = null, signal = null) {
+        const context = this._acquireSession();
+        let startTime = Date.now();
+        let response;
+        try {
+            response = await this._schedule(url, () => {
+                startTime = Date.now();
+                this.logger.debug('request', { method, url, attempt: 1 });
+                this.emit('request', { method, url, attempt: 1 });
+                return this._send(context, method, url, {
+                    ...config,
+                    // Resolve every status so it can be handled below
+                    validateStatus: null,
+                    signal
+                }, body);
+            }, signal);
+        } catch (error) {
+            if (error instanceof TrendsAbortError || (signal && signal.aborted)) {
+                throw abortError(signal);
+            }
+            if (error instanceof TrendsReplayError) {
+                throw error;
+            }
+            this._reportProxy(context, false);
+            throw new TrendsNetworkError(`Request failed: ${error.message}`, { url, retries: 1, cause: error });
+        }
+
+        this._emitResponse(method, url, response, startTime);
+        if (response.status !== 200) {
+            const rateLimited = [429, 302].includes(response.status);
+            if (rateLimited || response.status >= 500) {
+                this._reportProxy(context, false, rateLimited);
+            }
+            if (rateLimited) {
+                const retryAfter = parseRetryAfter(response.headers['retry-after']);
+                this.emit('rateLimited', { url, status: response.status, waitSeconds: 0, retryAfter });
+            }
+            throw Trends._statusError('Request failed', url, response, 1);
+        }
+        this._reportProxy(context, true);
+        return response;
     }
 
     /**
-     * Encode request items for API calls
+     * Encode request items for API calls. Keywords, timeframes and geos are broadcast:
+     * shorter lists repeat until they reach the length of the longest one, and items are
+     * built position by position. ['a', 'b'] with ['US', 'GB'] gives (a, US) and (b, GB);
+     * 'a' with ['US', 'GB'] gives (a, US) and (a, GB).
+     * @throws {TrendsInvalidArgumentError} If the lengths cannot be broadcast, if there are more
+     *     than MAX_COMPARISON_ITEMS items, or if an item is repeated
      * @private
      */
     _encodeItems(keywords, timeframe = "today 12-m", geo = '') {
         const data = [keywords, timeframe, geo].map(item => 
             Array.isArray(item) ? item : [item]
         );
+        data[0] = data[0].map(keywordValue);
         const lengths = data.map(arr => arr.length);
         const maxLen = Math.max(...lengths);
         
         if (!lengths.every(len => maxLen % len === 0)) {
-            throw new Error(
+            throw new TrendsInvalidArgumentError(
                 `Ambiguous input sizes: unable to determine how to combine ` +
                 `inputs of lengths ${lengths.join(', ')}`
             );
         }
+        if (maxLen > MAX_COMPARISON_ITEMS) {
+            throw new TrendsInvalidArgumentError(
+                `Google Trends compares at most ${MAX_COMPARISON_ITEMS} items, got ${maxLen}. ` +
+                `Use interestOverTimeAnchored to compare more keywords`
+            );
+        }
 
-        data.forEach((arr, i) => {
-            while (arr.length < maxLen) {
-                arr.push(...arr);
+        const items = Array.from({ length: maxLen }, (_, i) => ({
+            keyword: data[0][i % data[0].length],
+            time: data[1][i % data[1].length],
+            geo: data[2][i % data[2].length]
+        }));
+
+        const seen = new Set();
+        items.forEach(item => {
+            const key = JSON.stringify([item.keyword, item.time, item.geo]);
+            if (seen.has(key)) {
+                throw new TrendsInvalidArgumentError(
+                    `Duplicate comparison item: '${item.keyword}' in geo '${item.geo}' over '${item.time}'`
+                );
             }
+            seen.add(key);
         });
-
-        return data[0].map((_, i) => ({
-            keyword: data[0][i],
-            time: data[1][i],
-            geo: data[2][i]
-        }));
+        return items;
     }
 
     /**
@@ -356,7 +849,7 @@ class Trends {
         if ('keyword' in params) {
             const keywords = Array.isArray(params.keyword) ? params.keyword : [params.keyword];
             if (keywords.length !== 1) {
-                throw new Error("This endpoint only supports a single keyword");
+                throw new TrendsInvalidArgumentError("This endpoint only supports a single keyword");
             }
             delete params.keyword;
             params.keywords = keywords;
@@ -389,7 +882,7 @@ class Trends {
         if (matches) {
             return JSON.parse(decodeEscapeText(matches[1]));
         }
-        console.warn("Failed to extract JSON data");
+        this.logger.warn("Failed to extract JSON data", { length: text.length });
         return null;
     }
 
@@ -397,7 +890,7 @@ class Trends {
      * Convert token to data using appropriate API endpoint
      * @private
      */
-    async _tokenToData(token) {
+    async _tokenToData(token, signal = null) {
         const urlMap = {
             'fe_line_chart': API_TIMELINE_URL,
             'fe_multi_range_chart': API_MULTIRANGE_URL,
@@ -413,7 +906,7 @@ class Trends {
             ...this._defaultParams
         };
 
-        const response = await this._get(url, params);
+        const response = await this._get(url, params, null, signal);
         return Trends._parseProtectedJson(response);
     }
 
@@ -421,10 +914,24 @@ class Trends {
      * Get token data from Google Trends API
      * @private
      */
-    async _getTokenData(url, params = null, requestFix = null, headers = null, raiseQuotaError = false) {
+    async _getTokenData(url, params = null, requestFix = null, headers = null, raiseQuotaError = false, signal = null) {
         const encodedParams = this._encodeRequest(params);
-        const response = await this._get(url, encodedParams, headers);
+        if (this.recorder && params.requestedTimeframe) {
+            // Relative timeframes are sent as absolute hours, so fixtures are keyed on the caller's timeframe
+            this._fixtureParams.set(
+                encodedParams,
+                this._encodeRequest({ ...params, timeframe: params.requestedTimeframe })
+            );
+        }
+        const response = await this._get(url, encodedParams, headers, signal);
         const token = this._extractEmbeddedData(response.data);
+        if (!token) {
+            throw new TrendsParseError('Failed to extract widget token from embed page', {
+                url,
+                status: response.status,
+                response: response.data
+            });
+        }
 
         if (requestFix) {
             token.request = { ...token.request, ...requestFix };
@@ -433,38 +940,65 @@ class Trends {
         if (raiseQuotaError) {
             const userType = token?.request?.userConfig?.userType;
             if (userType === "USER_TYPE_EMBED_OVER_QUOTA") {
-                throw new TrendsQuotaExceededError();
+                await this._invalidateCache('GET', url, encodedParams);
+                this._reportProxy(this._responseProxies.get(response), false, true);
+                this.logger.warn('API quota exceeded', { url });
+                this.emit('quotaExceeded', { url });
+                throw new TrendsQuotaExceededError({ url, status: response.status });
             }
         }
 
-        const data = await this._tokenToData(token);
+        const data = await this._tokenToData(token, signal);
         return [token, data];
     }
 
     /**
      * Make batch request to Google Trends API
+     * @param {string} reqId RPC identifier
+     * @param {*} data RPC payload, or a list of payloads when `multiple` is set
+     * @param {boolean} [multiple=false] Send each payload of `data` as its own RPC call.
+     *     The calls are tagged "1", "2", ... so their results can be matched back
+     * @param {AbortSignal} [signal] Signal cancelling the request
+     * @throws {TrendsAbortError} If the signal is aborted
+     * @throws {TrendsRateLimitError|TrendsRequestError|TrendsNetworkError} If the request fails
      * @private
      */
-    async _getBatch(reqId, data) {
-        const reqData = JSON.stringify([[[reqId, JSON.stringify(data), null, "generic"]]]);
+    async _getBatch(reqId, data, multiple = false, signal = null) {
+        throwIfAborted(signal);
+        const calls = multiple
+            ? data.map((item, i) => [reqId, JSON.stringify(item), null, String(i + 1)])
+            : [[reqId, JSON.stringify(data), null, "generic"]];
+        const reqData = JSON.stringify([calls]);
         const postData = `f.req=${encodeURIComponent(reqData)}`;
         const headers = {
             "content-type": "application/x-www-form-urlencoded;charset=UTF-8"
         };
 
-        const response = await this.session.post(BATCH_URL, postData, { headers });
+        const cached = await this._readCache('POST', BATCH_URL, null, postData);
+        if (cached) {
+            this._emitResponse('POST', BATCH_URL, cached, Date.now());
+            return cached;
+        }
+
+        const response = await this._sendOnce('POST', BATCH_URL, { headers }, postData, signal);
+        await this._writeCache('POST', BATCH_URL, null, postData, response);
         return response;
     }
 
     /**
      * Get interest over time data
-     * @param {string|string[]} keywords Keywords to analyze
+     * @param {string|Object|Array<string|Object>} keywords Search terms, topic MIDs or
+     *     entities ({ mid, title }) to analyze
      * @param {string} [timeframe="today 12-m"] Time range for analysis
      * @param {string} [geo=""] Geographic location code
      * @param {number} [cat=0] Category ID
      * @param {string} [gprop=""] Google property filter
      * @param {boolean} [returnRaw=false] Return raw API response
      * @param {Object} [headers=null] Custom request headers
+     * @param {string} [partial='keep'] Partial (still incomplete) points: 'keep' them,
+     *     'mark' them with null values or 'drop' them
+     * @param {AbortSignal} [signal] Signal cancelling the call
+     * @param {number} [timeout] Timeout of the whole call in milliseconds
      */
     async interestOverTime(keywords, options = {}) {
         const {
@@ -473,38 +1007,211 @@ class Trends {
             cat = 0,
             gprop = "",
             returnRaw = false,
-            headers = null
+            headers = null,
+            partial = 'keep',
+            signal = null,
+            timeout = null
         } = options;
 
         checkTimeframeResolution(timeframe);
+        TrendsDataConverter.checkPartialMode(partial);
         const timeframes = ensureList(timeframe).map(convertTimeframe);
 
-        const [token, data] = await this._getTokenData(
+        const [token, data] = await withCallSignal(signal, timeout, callSignal => this._getTokenData(
             EMBED_TIMESERIES_URL,
-            { keywords, timeframe: timeframes, geo, cat, gprop },
+            { keywords, timeframe: timeframes, requestedTimeframe: timeframe, geo, cat, gprop },
             null,
-            headers
-        );
+            headers,
+            false,
+            callSignal
+        ));
 
         if (returnRaw) {
             return [token, data];
         }
 
         if (token.type === 'fe_line_chart') {
-            const extractedKeywords = this._extractKeywordsFromToken(token);
-            return TrendsDataConverter.interestOverTime(data, extractedKeywords);
+            const extractedKeywords = this._extractKeywordsFromToken(token, keywords);
+            return TrendsDataConverter.interestOverTime(data, extractedKeywords, { partial });
         }
 
         if (token.type === 'fe_multi_range_chart') {
-            const bullets = TrendsDataConverter.tokenToBullets(token);
-            return TrendsDataConverter.multirangeInterestOverTime(data, bullets);
+            const bullets = this._tokenBullets(token, keywords);
+            return TrendsDataConverter.multirangeInterestOverTime(data, bullets, { partial });
         }
 
         return data;
     }
 
+    /**
+     * Get interest over time for ranges longer than Google allows at a given resolution.
+     * The range is split into overlapping windows (see splitTimeframe), each window is
+     * fetched with interestOverTime, and the windows are chained into one series
+     * normalized to a maximum of 100 (see stitchSeries).
+     * @param {string|Object|Array<string|Object>} keywords Search terms, topic MIDs or entities (up to 5)
+     * @param {Object} [options]
+     * @param {string} [options.timeframe="today 5-y"] Full range, e.g. '2019-01-01 2024-01-01'
+     *     or, for hourly data, '2024-01-01T00 2024-03-01T00'
+     * @param {string} [options.resolution="daily"] Resolution to keep across the range: "daily" or "hourly"
+     * @param {number} [options.windowSize] Window length in resolution units
+     * @param {number} [options.overlap] Overlap between consecutive windows in resolution units
+     * @param {string} [options.geo=""] Geographic location code
+     * @param {number} [options.cat=0] Category ID
+     * @param {string} [options.gprop=""] Google property filter
+     * @param {Object} [options.headers=null] Custom request headers
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds, covering all windows
+     * @returns {Promise<{timestamps: number[], values: Object<string, number[]>, chains: number[], factors: Array,
+     *     gaps: Array}>}
+     *     Stitched series with the chain of each point, the rescaling factor of each window and the
+     *     overlaps that held no data. Each such gap starts a new chain, normalized on its own
+     */
+    async interestOverTimeStitched(keywords, options = {}) {
+        const {
+            timeframe = "today 5-y",
+            resolution = "daily",
+            windowSize = null,
+            overlap = null,
+            geo = "",
+            cat = 0,
+            gprop = "",
+            headers = null,
+            signal = null,
+            timeout = null
+        } = options;
+
+        const windows = splitTimeframe(timeframe, { resolution, windowSize, overlap });
+        const results = await withCallSignal(signal, timeout, async callSignal => {
+            const windowResults = [];
+            for (const window of windows) {
+                windowResults.push(await this.interestOverTime(keywords, {
+                    timeframe: window,
+                    geo,
+                    cat,
+                    gprop,
+                    headers,
+                    signal: callSignal
+                }));
+            }
+            return windowResults;
+        });
+
+        return stitchSeries(results);
+    }
+
+    /**
+     * Compare any number of keywords on one 0-100 scale.
+     * Keywords are requested in groups of four plus a shared anchor keyword, and each group
+     * is rescaled against the anchor (see mergeAnchoredResults). When the anchor rounds to
+     * zero in a group, the strongest keyword of that group becomes the new anchor and only the
+     * keywords left without values are requested again, together with the strongest keyword
+     * already on the scale to tie both anchors together (see combineAnchoredResults).
+     * @param {Array<string|Object>} keywords Search terms, topic MIDs or entities to compare
+     * @param {Object} [options] Same options as interestOverTime (single timeframe and geo), plus:
+     * @param {string|Object} [options.anchor] Anchor keyword (defaults to the first keyword)
+     * @param {boolean} [options.autoAnchor=true] Replace an anchor that rounds to zero
+     * @param {number} [options.timeout] Timeout in milliseconds, covering all groups
+     * @returns {Promise<{timestamps: number[], values: Object<string, Array<number|null>>, anchor: string,
+     *     groups: string[][], factors: Array<number|null>, zeroAnchorGroups: number[]}>}
+     *     `groups` lists every group requested, anchor first, with its factor in `factors`. Groups that could
+     *     not be rescaled are listed in zeroAnchorGroups; their keywords have null values unless a later group
+     *     covered them. `anchor` is the search term or MID of the last anchor used
+     */
+    async interestOverTimeAnchored(keywords, options = {}) {
+        const {
+            anchor: initialAnchor = null,
+            autoAnchor = true,
+            signal = null,
+            timeout = null,
+            ...requestOptions
+        } = options;
+
+        // Groups are built from search terms and MIDs; entities are passed back to keep their titles
+        const entities = new Map(ensureList(keywords)
+            .filter(keyword => keyword && typeof keyword === 'object')
+            .map(keyword => [keywordValue(keyword), keyword]));
+        const keywordsList = Array.from(new Set(ensureList(keywords).map(keywordValue)));
+        if (keywordsList.length === 0) {
+            throw new TrendsInvalidArgumentError("At least one keyword is required");
+        }
+
+        let anchor = initialAnchor ? keywordValue(initialAnchor) : keywordsList[0];
+        const triedAnchors = new Set();
+
+        // Keyword (search term or MID) behind each label of the results
+        const labelValues = new Map();
+        // Keywords that have no values on the merged scale yet
+        const unresolved = merged => {
+            const resolved = new Set(Array.from(labelValues)
+                .filter(([label]) => (merged.values[label] || []).some(value => value !== null))
+                .map(([, value]) => value));
+            return keywordsList.filter(value => !resolved.has(value));
+        };
+
+        return withCallSignal(signal, timeout, async callSignal => {
+            const groups = [];
+            let merged = null;
+            let pending = keywordsList;
+            let bridge = null;
+
+            while (true) {
+                // The bridge keyword already has values, and ties the new anchor to the scale so far
+                const roundGroups = anchorGroups(bridge ? [labelValues.get(bridge), ...pending] : pending, anchor);
+                const results = [];
+                for (const group of roundGroups) {
+                    results.push(await this.interestOverTime(group.map(value => entities.get(value) || value), {
+                        ...requestOptions,
+                        returnRaw: false,
+                        signal: callSignal
+                    }));
+                }
+                results.forEach((result, i) => Object.keys(result.values || {})
+                    .forEach((label, j) => labelValues.set(label, roundGroups[i][j])));
+
+                const roundMerged = mergeAnchoredResults(results);
+                const missingBefore = merged ? unresolved(merged).length : Infinity;
+                merged = merged ? combineAnchoredResults(merged, roundMerged, bridge) : roundMerged;
+                groups.push(...roundGroups);
+                triedAnchors.add(anchor);
+
+                // Only the keywords of groups whose anchor rounded to zero are requested again
+                const missing = unresolved(merged);
+                if (autoAnchor && missing.length > 0 && missing.length < missingBefore
+                    && roundMerged.zeroAnchorGroups.length > 0) {
+                    const groupIndex = roundMerged.zeroAnchorGroups[0];
+                    const position = strongestKeyword(results[groupIndex]);
+                    const candidate = position > 0 ? roundGroups[groupIndex][position] : null;
+                    if (candidate && !triedAnchors.has(candidate)) {
+                        const sums = Object.entries(merged.values)
+                            .map(([label, series]) => [label, series.reduce((sum, value) => sum + (value || 0), 0)])
+                            .filter(([, sum]) => sum > 0)
+                            .sort((a, b) => b[1] - a[1]);
+                        bridge = sums.length > 0 ? sums[0][0] : null;
+                        pending = missing;
+                        anchor = candidate;
+                        continue;
+                    }
+                }
+
+                return { ...merged, groups, anchor };
+            }
+        });
+    }
+
     /**
      * Get related queries for a keyword
+     * @param {string|Object} keyword Search term, topic MID or entity ({ mid, title }) to analyze
+     * @param {Object} [options]
+     * @param {string} [options.timeframe="today 12-m"] Time range for analysis
+     * @param {string} [options.geo=""] Geographic location code
+     * @param {number} [options.cat=0] Category ID
+     * @param {string} [options.gprop=""] Google property filter
+     * @param {boolean} [options.returnRaw=false] Return raw API response
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds
+     * @returns {Promise<{top: Array<Object>, rising: Array<Object>, hasData: boolean, metadata: Object}>}
+     *     See TrendsDataConverter.relatedQueries; metadata holds the keyword (search term or MID), its label
+     *     (see TrendsDataConverter.comparisonLabels), timeframe, geo and quotaStatus
      */
     async relatedQueries(keyword, options = {}) {
         const {
@@ -513,26 +1220,46 @@ class Trends {
             cat = 0,
             gprop = "",
             returnRaw = false,
-            headers = { referer: "https://trends.google.com/trends/explore" }
+            headers = { referer: "https://trends.google.com/trends/explore" },
+            signal = null,
+            timeout = null
         } = options;
 
-        const [token, data] = await this._getTokenData(
+        const [token, data] = await withCallSignal(signal, timeout, callSignal => this._getTokenData(
             EMBED_QUERIES_URL,
             { keyword, timeframe, geo, cat, gprop },
             null,
             headers,
-            true
-        );
+            true,
+            callSignal
+        ));
 
         if (returnRaw) {
             return [token, data];
         }
 
-        return TrendsDataConverter.relatedQueries(data);
+        return TrendsDataConverter.relatedQueries(data, {
+            keyword: keywordValue(keyword),
+            label: this._extractKeywordsFromToken(token, keyword)[0],
+            timeframe,
+            geo,
+            quotaStatus: TrendsDataConverter.quotaStatus(token)
+        });
     }
 
     /**
      * Get related topics for a keyword
+     * @param {string|Object} keyword Search term, topic MID or entity ({ mid, title }) to analyze
+     * @param {Object} [options]
+     * @param {string} [options.timeframe="today 12-m"] Time range for analysis
+     * @param {string} [options.geo=""] Geographic location code
+     * @param {number} [options.cat=0] Category ID
+     * @param {string} [options.gprop=""] Google property filter
+     * @param {boolean} [options.returnRaw=false] Return raw API response
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds
+     * @returns {Promise<{top: Array<Object>, rising: Array<Object>}>} Topics with mid, title, type,
+     *     value, formattedValue, hasData and link. Topics can be passed back as keywords
      */
     async relatedTopics(keyword, options = {}) {
         const {
@@ -541,26 +1268,44 @@ class Trends {
             cat = 0,
             gprop = "",
             returnRaw = false,
-            headers = { referer: "https://trends.google.com/trends/explore" }
+            headers = { referer: "https://trends.google.com/trends/explore" },
+            signal = null,
+            timeout = null
         } = options;
 
-        const [token, data] = await this._getTokenData(
+        const [token, data] = await withCallSignal(signal, timeout, callSignal => this._getTokenData(
             EMBED_TOPICS_URL,
             { keyword, timeframe, geo, cat, gprop },
             null,
             headers,
-            true
-        );
+            true,
+            callSignal
+        ));
 
         if (returnRaw) {
             return [token, data];
         }
 
-        return TrendsDataConverter.relatedQueries(data);
+        return TrendsDataConverter.relatedTopics(data);
     }
 
     /**
      * Get interest by region data
+     * @param {string|Object|Array<string|Object>} keywords Search terms, topic MIDs or
+     *     entities ({ mid, title }) to analyze
+     * @param {Object} [options]
+     * @param {string} [options.timeframe="today 12-m"] Time range for analysis
+     * @param {string} [options.geo=""] Geographic location code
+     * @param {number} [options.cat=0] Category ID
+     * @param {string} [options.gprop=""] Google property filter
+     * @param {string} [options.resolution] COUNTRY, REGION, CITY or DMA; must be available for `geo`
+     *     (see geoResolutions). Defaults to COUNTRY worldwide, REGION in a country and CITY below
+     * @param {boolean} [options.incLowVol=false] Include low-volume regions, flagged with `isLowVolume`
+     * @param {boolean} [options.returnRaw=false] Return raw API response
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds
+     * @returns {Promise<{regions: Array<Object>, values: Object<string, number[]>}>} See TrendsDataConverter.geoData
+     * @throws {TrendsInvalidArgumentError} If the resolution is not available for the geo, before any request
      */
     async interestByRegion(keywords, options = {}) {
         const {
@@ -570,42 +1315,53 @@ class Trends {
             gprop = "",
             resolution = null,
             incLowVol = false,
-            returnRaw = false
+            returnRaw = false,
+            signal = null,
+            timeout = null
         } = options;
 
-        const actualResolution = resolution || ((!geo || geo === '') ? 'COUNTRY' : 'REGION');
+        const geos = ensureList(geo);
+        const actualResolution = resolution
+            ? geos.map(item => checkGeoResolution(resolution, item))[0]
+            : geoResolutions(geos[0])[0];
         const requestFix = {
             resolution: actualResolution,
             includeLowSearchVolumeGeos: incLowVol
         };
 
-        const [token, data] = await this._getTokenData(
+        const [token, data] = await withCallSignal(signal, timeout, callSignal => this._getTokenData(
             EMBED_GEO_URL,
             { keywords, timeframe, geo, cat, gprop },
-            requestFix
-        );
+            requestFix,
+            null,
+            false,
+            callSignal
+        ));
 
         if (returnRaw) {
             return [token, data];
         }
 
-        // Extract keywords from token if bullets are not available
-        const keywordsList = Array.isArray(keywords) ? keywords : [keywords];
-        const bullets = token.bullets || keywordsList.map(k => ({ text: k }));
-        return TrendsDataConverter.geoData(data, bullets);
+        const labels = this._extractKeywordsFromToken(token, keywords);
+        return TrendsDataConverter.geoData(data, labels.map(text => ({ text })));
     }
 
     /**
      * Get search suggestions for a keyword
      */
     async suggestions(keyword, options = {}) {
-        const { language = null, returnRaw = false } = options;
+        const { language = null, returnRaw = false, signal = null, timeout = null } = options;
         const params = language ? 
             { hz: language, tz: this.tzs } : 
             this._defaultParams;
 
         const encodedKeyword = encodeURIComponent(keyword.replace("'", ""));
-        const response = await this._get(API_AUTOCOMPLETE + encodedKeyword, params);
+        const response = await withCallSignal(signal, timeout, callSignal => this._get(
+            API_AUTOCOMPLETE + encodedKeyword,
+            params,
+            null,
+            callSignal
+        ));
         const data = Trends._parseProtectedJson(response);
 
         if (returnRaw) {
@@ -615,18 +1371,134 @@ class Trends {
         return TrendsDataConverter.suggestions(data);
     }
 
+    /**
+     * Load a picker tree (geo or category) and cache its index per language
+     * @private
+     */
+    async _getPickerIndex(url, cache, language, joinIds, signal = null) {
+        const lang = language ? this._validateLanguage(language) : this.language;
+        if (!cache.has(lang)) {
+            const response = await this._get(url, { hl: lang, tz: this.tzs }, null, signal);
+            const tree = Trends._parseProtectedJson(response);
+            cache.set(lang, createHierarchicalIndex(tree, joinIds));
+        }
+        return cache.get(lang);
+    }
+
+    /**
+     * Find locations usable as the `geo` option of other methods
+     * @param {string} [query=''] Location name or (partial) geo code, e.g. 'California' or 'US-CA'.
+     *     Returns every location when empty
+     * @param {Object} [options]
+     * @param {string} [options.language] Language of the location names (defaults to the client language)
+     * @param {boolean} [options.returnRaw=false] Return the underlying HierarchicalIndex
+     * @returns {Promise<Array<{name: string, id: string}>|HierarchicalIndex>}
+     */
+    async geo(query = '', options = {}) {
+        const { language = null, returnRaw = false, signal = null, timeout = null } = options;
+        const index = await withCallSignal(signal, timeout, callSignal => this._getPickerIndex(
+            API_GEO_DATA_URL,
+            this._geoCache,
+            language,
+            true,
+            callSignal
+        ));
+
+        if (returnRaw) {
+            return index;
+        }
+
+        if (!query) {
+            return Array.from(index.idToItem.values());
+        }
+
+        const matches = new Map();
+        index.exactSearch(query).forEach(item => matches.set(item.id, item));
+        index.partialSearch(query).forEach(item => matches.set(item.id, item));
+        index.idSearch(query.toUpperCase()).forEach(item => matches.set(item.id, item));
+        return Array.from(matches.values());
+    }
+
+    /**
+     * Find categories usable as the `cat` option of other methods
+     * @param {string|number} [query=''] Category name (full or partial) or numeric category ID.
+     *     Returns every category when empty
+     * @param {Object} [options]
+     * @param {string} [options.language] Language of the category names (defaults to the client language)
+     * @param {boolean} [options.returnRaw=false] Return the underlying HierarchicalIndex
+     * @returns {Promise<Array<{name: string, id: number, parentId: number|null, path: Array}>|HierarchicalIndex>}
+     *     Matching categories, each with its ancestor path from the top-level category down to itself
+     */
+    async categories(query = '', options = {}) {
+        const { language = null, returnRaw = false, signal = null, timeout = null } = options;
+        const index = await withCallSignal(signal, timeout, callSignal => this._getPickerIndex(
+            API_CATEGORY_URL,
+            this._categoryCache,
+            language,
+            false,
+            callSignal
+        ));
+
+        if (returnRaw) {
+            return index;
+        }
+
+        let items;
+        if (query === '' || query === null || query === undefined) {
+            items = Array.from(index.idToItem.values());
+        } else if (/^\d+$/.test(String(query).trim())) {
+            items = index.idSearch(String(query).trim());
+        } else {
+            const matches = new Map();
+            index.exactSearch(query).forEach(item => matches.set(item.id, item));
+            index.partialSearch(query).forEach(item => matches.set(item.id, item));
+            items = Array.from(matches.values());
+        }
+
+        return items.map(item => ({
+            ...item,
+            path: index.getPath(item.id).map(({ name, id }) => ({ name, id }))
+        }));
+    }
+
     /**
      * Get hot trends data
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds
      */
-    async hotTrends() {
-        const response = await this.session.get(HOT_TRENDS_URL);
-        return JSON.parse(response.data);
+    async hotTrends(options = {}) {
+        const { signal = null, timeout = null } = options;
+        throwIfAborted(signal);
+        let response = await this._readCache('GET', HOT_TRENDS_URL);
+        if (!response) {
+            response = await withCallSignal(
+                signal,
+                timeout,
+                callSignal => this._sendOnce('GET', HOT_TRENDS_URL, {}, null, callSignal)
+            );
+            await this._writeCache('GET', HOT_TRENDS_URL, null, null, response);
+        }
+        if (typeof response.data !== 'string') {
+            return response.data;
+        }
+        return Trends._parseJson(response.data, {
+            url: response.config?.url,
+            status: response.status,
+            response: response.data
+        });
     }
 
     /**
      * Get top charts for a specific year
+     * @param {string} [year='2023'] Year of the charts
+     * @param {string} [geo='GLOBAL'] Geographic location code
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds
      */
-    async topYearCharts(year = '2023', geo = 'GLOBAL') {
+    async topYearCharts(year = '2023', geo = 'GLOBAL', options = {}) {
+        const { signal = null, timeout = null } = options;
         const params = {
             date: year,
             geo: geo,
@@ -634,7 +1506,11 @@ class Trends {
             ...this._defaultParams
         };
 
-        const response = await this._get(API_TOPCHARTS_URL, params);
+        const response = await withCallSignal(
+            signal,
+            timeout,
+            callSignal => this._get(API_TOPCHARTS_URL, params, null, callSignal)
+        );
         return Trends._parseProtectedJson(response);
     }
 
@@ -646,7 +1522,9 @@ class Trends {
             geo = 'US',
             category = 'all',
             maxStories = 200,
-            returnRaw = false
+            returnRaw = false,
+            signal = null,
+            timeout = null
         } = options;
 
         const params = {
@@ -662,7 +1540,11 @@ class Trends {
             sort: 0
         };
 
-        const response = await this._get(REALTIME_SEARCHES_URL, params);
+        const response = await withCallSignal(
+            signal,
+            timeout,
+            callSignal => this._get(REALTIME_SEARCHES_URL, params, null, callSignal)
+        );
         const data = Trends._parseProtectedJson(response);
 
         if (returnRaw) {
@@ -679,6 +1561,19 @@ class Trends {
 
     /**
      * Get trending searches (real-time)
+     * @param {Object} [options]
+     * @param {string} [options.geo='US'] Geographic location code
+     * @param {string} [options.language='en'] Language code
+     * @param {number} [options.hours=24] Look-back window in hours
+     * @param {number} [options.numNews=0] Number of news articles to include per trend
+     * @param {string} [options.status] Keep only 'active' or 'finished' trends
+     * @param {number} [options.minVolume] Keep only trends with at least this search volume
+     * @param {number|number[]} [options.topics] Keep only trends in any of these topic IDs
+     * @param {string} [options.sortBy] Sort descending by 'volume', 'recency' or 'growth'
+     * @param {boolean} [options.returnRaw=false] Return raw API response
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds
+     * @returns {Promise<TrendKeyword[]>}
      */
     async trendingNow(options = {}) {
         const {
@@ -686,54 +1581,155 @@ class Trends {
             language = 'en',
             hours = 24,
             numNews = 0,
-            returnRaw = false
+            status = null,
+            minVolume = null,
+            topics = null,
+            sortBy = null,
+            returnRaw = false,
+            signal = null,
+            timeout = null
         } = options;
 
         const reqData = [null, null, geo, numNews, language, hours, 1];
-        const response = await this._getBatch('i0OFE', reqData);
-        const data = Trends._parseProtectedJson(response);
+        const response = await withCallSignal(
+            signal,
+            timeout,
+            callSignal => this._getBatch('i0OFE', reqData, false, callSignal)
+        );
+        const data = Trends._parseBatch(response);
 
         if (returnRaw) {
             return data;
         }
 
-        const parsedData = JSON.parse(data[0][2]);
-        return parsedData[1].map(item => ({
-            title: item.title,
-            formattedTraffic: item.formattedTraffic,
-            articles: item.articles || []
-        }));
+        const parsedData = Trends._batchPayload(data[0], response);
+        const trends = filterTrends(
+            (parsedData?.[1] || []).map(item => new TrendKeyword(item)),
+            { status, minVolume, topics }
+        );
+        return sortBy ? sortTrends(trends, sortBy) : trends;
+    }
+
+    /**
+     * Get the intraday interest curves shown next to Trending Now items
+     * @param {string|string[]} keywords Trending keywords (as returned by trendingNow)
+     * @param {Object} [options]
+     * @param {string} [options.geo='US'] Geographic location code
+     * @param {number} [options.timeframe=BatchPeriod.Past24H] One of the BatchPeriod values
+     * @param {boolean} [options.returnRaw=false] Return raw API response
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds
+     * @returns {Promise<{timestamps: number[], values: Object<string, number[]>}>}
+     *     Timestamps in milliseconds shared by all keywords
+     */
+    async trendingNowShowcaseTimeline(keywords, options = {}) {
+        const {
+            geo = 'US',
+            timeframe = BatchPeriod.Past24H,
+            returnRaw = false,
+            signal = null,
+            timeout = null
+        } = options;
+
+        if (!Object.values(BatchPeriod).includes(timeframe)) {
+            throw new TrendsInvalidArgumentError(
+                `Invalid timeframe: ${timeframe}. ` +
+                `Use one of BatchPeriod.${Object.keys(BatchPeriod).join(', BatchPeriod.')}`
+            );
+        }
+
+        const keywordsList = ensureList(keywords);
+        const reqData = keywordsList.map(keyword => [null, null, [geo, keyword, timeframe, 0, 3]]);
+        const response = await withCallSignal(
+            signal,
+            timeout,
+            callSignal => this._getBatch('jpdkv', reqData, true, callSignal)
+        );
+        const data = Trends._parseBatch(response);
+        // Date the series by the response rather than the clock, so cached and replayed calls keep their timestamps
+        const responseDate = Date.parse(response.headers?.date);
+        const requestTimestamp = Math.floor((Number.isNaN(responseDate) ? Date.now() : responseDate) / 1000);
+
+        if (returnRaw) {
+            return data;
+        }
+
+        // Each RPC result comes back as a "wrb.fr" entry tagged with its call index
+        const series = data
+            .filter(entry => Array.isArray(entry) && entry[0] === 'wrb.fr' && entry[2])
+            .map(entry => {
+                const payload = Trends._batchPayload(entry, response);
+                const values = Array.isArray(payload?.[0]) ? payload[0] : payload;
+                return [keywordsList[parseInt(entry[6], 10) - 1], values];
+            })
+            .filter(([keyword]) => keyword !== undefined);
+
+        return TrendsDataConverter.trendingNowShowcaseTimeline(series, requestTimestamp, timeframe);
     }
 
     /**
      * Get trending searches via RSS feed
+     * @param {Object} [options]
+     * @param {string} [options.geo='US'] Geographic location code
+     * @param {boolean} [options.returnRaw=false] Return the RSS document
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds
+     * @returns {Promise<TrendKeywordLite[]>} Trends with their approximate traffic, picture and news articles
+     * @throws {TrendsParseError} If the feed is not well-formed XML
      */
     async trendingNowByRss(options = {}) {
-        const { geo = 'US', returnRaw = false } = options;
+        const { geo = 'US', returnRaw = false, signal = null, timeout = null } = options;
         const params = { geo };
 
-        const response = await this._get(REALTIME_RSS, params);
+        const response = await withCallSignal(
+            signal,
+            timeout,
+            callSignal => this._get(REALTIME_RSS, params, null, callSignal)
+        );
         
         if (returnRaw) {
             return response.data;
         }
 
-        return TrendsDataConverter.rssItems(response.data);
+        let items;
+        try {
+            items = TrendsDataConverter.rssItems(response.data);
+        } catch (error) {
+            throw new TrendsParseError(error.message, {
+                url: REALTIME_RSS,
+                status: response.status,
+                response: response.data,
+                cause: error
+            });
+        }
+        return items.map(item => TrendKeywordLite.fromApi(item));
     }
 
     /**
      * Get news articles for trending search IDs
+     * @param {string[]} newsIds News token IDs (see TrendKeyword#newsTokens)
+     * @param {number} [maxNews=3] Maximum number of articles
+     * @param {boolean} [returnRaw=false] Return raw API response
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] Signal cancelling the call
+     * @param {number} [options.timeout] Timeout in milliseconds
      */
-    async trendingNowNewsByIds(newsIds, maxNews = 3, returnRaw = false) {
-        const response = await this._getBatch('w4opAf', [newsIds, maxNews]);
-        const data = Trends._parseProtectedJson(response);
+    async trendingNowNewsByIds(newsIds, maxNews = 3, returnRaw = false, options = {}) {
+        const { signal = null, timeout = null } = options;
+        const response = await withCallSignal(signal, timeout, callSignal => this._getBatch(
+            'w4opAf',
+            [newsIds, maxNews],
+            false,
+            callSignal
+        ));
+        const data = Trends._parseBatch(response);
 
         if (returnRaw) {
             return data;
         }
 
-        const parsedData = JSON.parse(data[0][2]);
-        return parsedData[0].map(article => ({
+        const parsedData = Trends._batchPayload(data[0], response);
+        return (parsedData?.[0] || []).map(article => ({
             title: article.title,
             url: article.url,
             source: article.source,
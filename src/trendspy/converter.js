@@ -1,107 +1,241 @@
 const { DateTime } = require('luxon');
+const { parseXml } = require('./xml');
+const { TrendsInvalidArgumentError } = require('./errors');
+const { isEntityId } = require('./utils');
+
+// Origin of the explore links in related topics and queries
+const TRENDS_URL = 'https://trends.google.com';
+
+/**
+ * @constant {string[]}
+ * Ways to handle partial points of interest over time: keep, mark (null values) or drop them
+ */
+const PARTIAL_POINT_MODES = ['keep', 'mark', 'drop'];
+
+/**
+ * Convert the children of an RSS element into an object keyed by tag name without
+ * its `ht:` prefix. News items are collected in a `news_item` list.
+ * @private
+ */
+function rssFields(element) {
+    const fields = {};
+    element.children.forEach(child => {
+        const key = child.name.replace(/^ht:/, '');
+        const value = child.children.length > 0 ? rssFields(child) : child.text.trim();
+        if (key === 'news_item') {
+            fields.news_item = [...(fields.news_item || []), value];
+        } else {
+            fields[key] = value;
+        }
+    });
+    return fields;
+}
 
 class TrendsDataConverter {
     /**
-     * Convert interest over time data to structured format
+     * Convert interest over time data to structured format.
+     * The last point is usually partial: its period is not over yet, so its value
+     * is lower than it will end up being.
      * @param {Object} data Raw API response data
      * @param {string[]} keywords Keywords used in the request
-     * @returns {Object} Processed data
+     * @param {Object} [options]
+     * @param {string} [options.partial='keep'] What to do with partial points: 'keep' them as is,
+     *     'mark' them by setting their values to null, or 'drop' them
+     * @returns {Object} Timestamps (ms), formatted times and partial flags per point, plus values,
+     *     formatted values (e.g. "<1") and hasData flags per keyword, and the per-keyword averages
+     * @throws {TrendsInvalidArgumentError} If `partial` is not 'keep', 'mark' or 'drop'
      */
-    static interestOverTime(data, keywords) {
+    static interestOverTime(data, keywords, options = {}) {
+        const { partial = 'keep' } = options;
+        TrendsDataConverter.checkPartialMode(partial);
         if (!data || !data.default || !data.default.timelineData) {
             return {};
         }
 
-        const timelineData = data.default.timelineData;
         const result = {
             timestamps: [],
-            values: {}
+            formattedTime: [],
+            isPartial: [],
+            values: {},
+            formattedValues: {},
+            hasData: {},
+            averages: {}
         };
 
         // Initialize arrays for each keyword
         keywords.forEach(keyword => {
             result.values[keyword] = [];
+            result.formattedValues[keyword] = [];
+            result.hasData[keyword] = [];
         });
 
         // Process timeline data
-        timelineData.forEach(point => {
+        data.default.timelineData.forEach(point => {
+            const isPartial = Boolean(point.isPartial);
+            if (isPartial && partial === 'drop') {
+                return;
+            }
+
             result.timestamps.push(point.time * 1000); // Convert to milliseconds
+            result.formattedTime.push(point.formattedTime || null);
+            result.isPartial.push(isPartial);
             point.value.forEach((value, index) => {
                 const keyword = keywords[index];
-                result.values[keyword].push(value);
+                result.values[keyword].push(isPartial && partial === 'mark' ? null : value);
+                result.formattedValues[keyword].push(
+                    point.formattedValue ? point.formattedValue[index] : String(value)
+                );
+                result.hasData[keyword].push(point.hasData ? Boolean(point.hasData[index]) : true);
             });
         });
 
+        // Google only sends averages when comparing several keywords
+        (data.default.averages || []).forEach((average, index) => {
+            if (keywords[index] !== undefined) {
+                result.averages[keywords[index]] = average;
+            }
+        });
+
         return result;
     }
 
     /**
-     * Convert related queries data to structured format
-     * @param {Object} data Raw API response data
-     * @returns {Object} Processed data with 'top' and 'rising' queries
+     * Check the `partial` option of interest over time
+     * @param {string} partial 'keep', 'mark' or 'drop'
+     * @throws {TrendsInvalidArgumentError} If the value is not one of these
      */
-    static relatedQueries(data) {
-        if (!data || !data.default) {
-            return { top: [], rising: [] };
+    static checkPartialMode(partial) {
+        if (!PARTIAL_POINT_MODES.includes(partial)) {
+            throw new TrendsInvalidArgumentError(
+                `Invalid partial option: ${partial}. Use one of ${PARTIAL_POINT_MODES.join(', ')}`
+            );
         }
+    }
 
-        const rankedList = data.default.rankedList;
-        if (!Array.isArray(rankedList) || rankedList.length === 0) {
-            return { top: [], rising: [] };
-        }
+    /**
+     * Convert related queries data to structured format.
+     * Rising items are either a percentage increase ("+250%") or a breakout, shown as
+     * "Breakout" (translated in other languages) when the increase exceeds 5000%.
+     * @param {Object} data Raw API response data
+     * @param {Object} [metadata={}] Request metadata to attach (keyword, timeframe, geo, quotaStatus)
+     * @returns {{top: Array<Object>, rising: Array<Object>, hasData: boolean, metadata: Object}}
+     *     Queries with value, formattedValue, hasData, absolute link, isBreakout and percentIncrease.
+     *     `hasData` is false when Google returned no ranked lists at all, as opposed to empty lists
+     */
+    static relatedQueries(data, metadata = {}) {
+        const rankedList = data?.default?.rankedList;
+        const hasData = Array.isArray(rankedList) && rankedList.some(list => Array.isArray(list?.rankedKeyword));
 
-        const result = {
-            top: [],
-            rising: []
+        const convert = (list, rising) => (list?.rankedKeyword || []).map(item => {
+            const formattedValue = item.formattedValue !== undefined ? String(item.formattedValue) : null;
+            const isPercentage = formattedValue !== null && formattedValue.includes('%');
+            return {
+                query: item.query,
+                value: item.value,
+                formattedValue,
+                hasData: item.hasData !== false,
+                link: item.link ? new URL(item.link, TRENDS_URL).toString() : null,
+                isBreakout: rising && formattedValue !== null && !isPercentage,
+                percentIncrease: rising && isPercentage
+                    ? parseInt(formattedValue.replace(/[^\d]/g, ''), 10)
+                    : null
+            };
+        });
+
+        return {
+            top: hasData ? convert(rankedList[0], false) : [],
+            rising: hasData ? convert(rankedList[1], true) : [],
+            hasData,
+            metadata
         };
+    }
 
-        // Process top queries
-        if (rankedList[0] && rankedList[0].rankedKeyword) {
-            result.top = rankedList[0].rankedKeyword.map(item => ({
-                query: item.query,
-                value: item.value
-            }));
-        }
+    /**
+     * Get the quota status of a widget token
+     * @param {Object} token Widget token from an embed page
+     * @returns {string} 'ok', 'exceeded' or 'unknown'
+     */
+    static quotaStatus(token) {
+        const userType = token?.request?.userConfig?.userType;
+        if (userType === 'USER_TYPE_EMBED_OVER_QUOTA') return 'exceeded';
+        if (userType === 'USER_TYPE_LEGIT_USER') return 'ok';
+        return 'unknown';
+    }
 
-        // Process rising queries
-        if (rankedList[1] && rankedList[1].rankedKeyword) {
-            result.rising = rankedList[1].rankedKeyword.map(item => ({
-                query: item.query,
-                value: item.value
-            }));
+    /**
+     * Convert related topics data to structured format
+     * @param {Object} data Raw API response data
+     * @returns {{top: Array<Object>, rising: Array<Object>}} Topics with mid, title, type, value,
+     *     formattedValue, hasData and the absolute explore link
+     */
+    static relatedTopics(data) {
+        const rankedList = data?.default?.rankedList;
+        if (!Array.isArray(rankedList)) {
+            return { top: [], rising: [] };
         }
 
-        return result;
+        const convert = list => (list?.rankedKeyword || []).map(item => ({
+            mid: item.topic?.mid,
+            title: item.topic?.title,
+            type: item.topic?.type,
+            value: item.value,
+            formattedValue: item.formattedValue,
+            hasData: item.hasData !== false,
+            link: item.link ? new URL(item.link, TRENDS_URL).toString() : null
+        }));
+
+        return {
+            top: convert(rankedList[0]),
+            rising: convert(rankedList[1])
+        };
     }
 
     /**
      * Convert geographical interest data to structured format
      * @param {Object} data Raw API response data
      * @param {Array} bullets Metadata about the request
-     * @returns {Object} Processed geographical data
+     * @returns {{regions: Array<Object>, values: Object<string, number[]>}} One record per region with
+     *     geoCode (null at CITY resolution), geoName, coordinates (CITY resolution only), and per keyword
+     *     value, formattedValue and hasData, plus maxValueIndex, the strongest keyword and whether the
+     *     region is low-volume (no keyword has data). `values` holds the same values as columns
      */
     static geoData(data, bullets) {
         if (!data || !data.default || !data.default.geoMapData) {
             return {};
         }
 
+        const keywords = bullets.map(bullet => bullet.text);
         const result = {
             regions: [],
             values: {}
         };
 
         // Initialize arrays for each keyword
-        bullets.forEach(bullet => {
-            result.values[bullet.text] = [];
+        keywords.forEach(keyword => {
+            result.values[keyword] = [];
         });
 
         // Process geographical data
         data.default.geoMapData.forEach(region => {
-            result.regions.push(region.geoCode);
+            const record = {
+                geoCode: region.geoCode || null,
+                geoName: region.geoName || null,
+                coordinates: region.coordinates || null,
+                value: {},
+                formattedValue: {},
+                hasData: {},
+                maxValueIndex: region.maxValueIndex !== undefined ? region.maxValueIndex : null,
+                maxKeyword: region.maxValueIndex !== undefined ? keywords[region.maxValueIndex] : null
+            };
             region.value.forEach((value, index) => {
-                const keyword = bullets[index].text;
+                const keyword = keywords[index];
                 result.values[keyword].push(value);
+                record.value[keyword] = value;
+                record.formattedValue[keyword] = region.formattedValue ? region.formattedValue[index] : String(value);
+                record.hasData[keyword] = region.hasData ? Boolean(region.hasData[index]) : true;
             });
+            record.isLowVolume = !Object.values(record.hasData).some(Boolean);
+            result.regions.push(record);
         });
 
         return result;
@@ -127,84 +261,196 @@ class TrendsDataConverter {
     /**
      * Extract bullets (metadata) from token
      * @param {Object} token API token containing request metadata
-     * @returns {Array} Extracted bullets
+     * @returns {Array} One bullet per comparison item (or for the restriction of related searches
+     *     tokens), with its display text and color and the
+     *     keyword, timeframe and geo of the item. Topic keywords also get their `mid` and, when
+     *     Google names them in the bullet, their `title`
      */
     static tokenToBullets(token) {
-        if (!token || !token.bullets) {
-            return [];
-        }
-        return token.bullets.map(bullet => ({
-            text: bullet.text,
-            color: bullet.color
-        }));
+        const bullets = token?.bullets || [];
+        const restriction = token?.request?.restriction;
+        const items = token?.request?.comparisonItem || (restriction ? [restriction] : []);
+        return Array.from({ length: Math.max(bullets.length, items.length) }, (_, index) => {
+            const bullet = bullets[index] || {};
+            const item = items[index] || {};
+            const keyword = item.complexKeywordsRestriction?.keyword?.[0]?.value ?? bullet.text;
+            const mid = isEntityId(keyword) ? keyword : null;
+            return {
+                text: bullet.text !== undefined ? bullet.text : keyword,
+                color: bullet.color,
+                keyword,
+                mid,
+                title: mid && bullet.text && bullet.text !== mid ? bullet.text : null,
+                timeframe: item.time || token.request?.time || null,
+                geo: item.geo ? (item.geo.region || item.geo.country || '') : ''
+            };
+        });
     }
 
     /**
-     * Parse RSS feed items
-     * @param {string} xmlText Raw RSS XML content
-     * @returns {Array} Parsed RSS items
+     * Build a unique label per comparison item. Labels are the bare keywords unless several
+     * timeframes or geos are compared, in which case the varying parts are added:
+     * "pizza (US)", "pizza (GB)" or "pizza (2024-01-01 2024-03-01, US)". Topics are named by
+     * their title and MID, "Python [/m/05z1_]", to tell them apart from search terms.
+     * @param {Array} bullets Bullets from tokenToBullets
+     * @param {boolean} [useText=false] Name search terms by their bullet text instead of keywords
+     * @returns {string[]}
      */
-    static rssItems(xmlText) {
-        // This is a simplified implementation
-        // In a real application, you would want to use a proper XML parser
-        const items = [];
-        const itemRegex = /<item>([\s\S]*?)<\/item>/g;
-        const titleRegex = /<title>(.*?)<\/title>/;
-        const linkRegex = /<link>(.*?)<\/link>/;
-        const pubDateRegex = /<pubDate>(.*?)<\/pubDate>/;
-        
-        let match;
-        while ((match = itemRegex.exec(xmlText)) !== null) {
-            const itemContent = match[1];
-            const title = titleRegex.exec(itemContent);
-            const link = linkRegex.exec(itemContent);
-            const pubDate = pubDateRegex.exec(itemContent);
-            
-            if (title && link) {
-                items.push({
-                    title: title[1],
-                    link: link[1],
-                    pubDate: pubDate ? pubDate[1] : null
-                });
+    static comparisonLabels(bullets, useText = false) {
+        const varies = key => new Set(bullets.map(bullet => bullet[key])).size > 1;
+        const showTimeframe = varies('timeframe');
+        const showGeo = varies('geo');
+        return bullets.map(bullet => {
+            let name = useText ? bullet.text : bullet.keyword;
+            if (bullet.mid) {
+                name = bullet.title ? `${bullet.title} [${bullet.mid}]` : bullet.mid;
             }
-        }
-        
-        return items;
+            const qualifiers = [
+                showTimeframe ? bullet.timeframe : null,
+                showGeo ? (bullet.geo || 'Worldwide') : null
+            ].filter(Boolean);
+            return qualifiers.length > 0 ? `${name} (${qualifiers.join(', ')})` : name;
+        });
     }
 
     /**
-     * Process trending now showcase timeline data
-     * @param {Array} data Raw timeline data
-     * @param {number} requestTimestamp Timestamp of the request
-     * @returns {Object} Processed timeline data
+     * Convert multi-range interest over time data, where the same keywords are compared
+     * over several timeframes of equal resolution. Points are aligned by their offset from
+     * the start of each range, and each range keeps its real dates.
+     * @param {Object} data Raw API response data
+     * @param {Array} bullets Bullets from tokenToBullets, one per range
+     * @param {Object} [options]
+     * @param {string} [options.partial='keep'] Partial points: 'keep' them, 'mark' them with
+     *     null values, or 'drop' the offsets where any range is partial
+     * @returns {Object} Offsets, one label per range (see comparisonLabels), the ranges with their
+     *     keyword, timeframe, geo, timestamps (ms), formatted times and partial flags, and values,
+     *     formatted values, hasData flags and averages keyed by label
+     * @throws {TrendsInvalidArgumentError} If `partial` is not 'keep', 'mark' or 'drop'
      */
-    static trendingNowShowcaseTimeline(data, requestTimestamp) {
-        if (!Array.isArray(data)) {
+    static multirangeInterestOverTime(data, bullets, options = {}) {
+        const { partial = 'keep' } = options;
+        TrendsDataConverter.checkPartialMode(partial);
+        if (!data || !data.default || !data.default.timelineData) {
             return {};
         }
 
+        const labels = TrendsDataConverter.comparisonLabels(bullets);
         const result = {
-            timestamps: [],
-            values: {}
+            offsets: [],
+            labels,
+            ranges: bullets.map((bullet, index) => ({
+                label: labels[index],
+                keyword: bullet.keyword || bullet.text,
+                timeframe: bullet.timeframe || null,
+                geo: bullet.geo || '',
+                timestamps: [],
+                formattedTime: [],
+                isPartial: []
+            })),
+            values: {},
+            formattedValues: {},
+            hasData: {},
+            averages: {}
         };
+        labels.forEach(label => {
+            result.values[label] = [];
+            result.formattedValues[label] = [];
+            result.hasData[label] = [];
+        });
 
-        data.forEach(series => {
-            const keyword = series[0];
-            result.values[keyword] = [];
+        data.default.timelineData.forEach((point, position) => {
+            const columns = point.columnData || [];
+            if (partial === 'drop' && columns.some(column => column.isPartial)) {
+                return;
+            }
 
-            series[1].forEach((point, index) => {
-                if (index === 0) {
-                    // First point contains timestamps
-                    point.forEach(timestamp => {
-                        result.timestamps.push(timestamp * 1000); // Convert to milliseconds
-                    });
-                } else {
-                    // Subsequent points contain values
-                    result.values[keyword] = point;
+            result.offsets.push(point.index !== undefined ? point.index : position);
+            columns.forEach((column, index) => {
+                const range = result.ranges[index];
+                if (!range) {
+                    return;
                 }
+                const isPartial = Boolean(column.isPartial);
+                range.timestamps.push(column.time !== undefined ? column.time * 1000 : null);
+                range.formattedTime.push(column.formattedTime || null);
+                range.isPartial.push(isPartial);
+                result.values[range.label].push(isPartial && partial === 'mark' ? null : column.value);
+                result.formattedValues[range.label].push(
+                    column.formattedValue !== undefined ? column.formattedValue : String(column.value)
+                );
+                result.hasData[range.label].push(column.hasData !== undefined ? Boolean(column.hasData) : true);
             });
         });
 
+        (data.default.averages || []).forEach((average, index) => {
+            if (labels[index] !== undefined) {
+                result.averages[labels[index]] = average;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Convert a trending searches RSS feed into one object per item. Fields of the `ht:`
+     * namespace lose their prefix, and every `ht:news_item` becomes an entry of `news_item`,
+     * which is the shape TrendKeywordLite.fromApi expects.
+     * @param {string} xmlText RSS document
+     * @returns {Array<Object>} Items with title, link, pubDate, approx_traffic, picture,
+     *     picture_source and news_item (each with news_item_title, news_item_url, ...)
+     * @throws {TrendsParseError} If the feed is not well-formed XML
+     */
+    static rssItems(xmlText) {
+        const channel = parseXml(xmlText).children.find(child => child.name === 'channel');
+        if (!channel) {
+            return [];
+        }
+
+        return channel.children
+            .filter(child => child.name === 'item')
+            .map(item => ({ news_item: [], ...rssFields(item) }));
+    }
+
+    /**
+     * Process trending now showcase timeline data.
+     * The API returns bare value lists, so timestamps are rebuilt from the request time:
+     * the last point of every series falls on the latest completed interval of the period.
+     * @param {Array} data List of [keyword, values] pairs
+     * @param {number} [requestTimestamp] Timestamp of the request in seconds (defaults to now)
+     * @param {number} [period] BatchPeriod value of the request, used to pick the interval
+     * @returns {Object} Processed timeline data with millisecond timestamps
+     */
+    static trendingNowShowcaseTimeline(data, requestTimestamp = null, period = null) {
+        const result = {
+            timestamps: [],
+            values: {}
+        };
+
+        if (!Array.isArray(data) || data.length === 0) {
+            return result;
+        }
+
+        const lengths = data.map(series => (series[1] || []).length);
+        const minLength = Math.min(...lengths);
+        const maxLength = Math.max(...lengths);
+
+        // Interval in seconds; guessed from the number of points when the period is unknown
+        const intervals = { 2: 480, 3: 960, 5: 960, 4: 14400 };
+        const interval = intervals[period] ||
+            (maxLength < 32 ? 480 : maxLength < 45 ? 14400 : 960);
+
+        const now = requestTimestamp || Math.floor(Date.now() / 1000);
+        const lastTimestamp = Math.floor(now / interval) * interval;
+
+        // Align series on their most recent points
+        for (let i = minLength - 1; i >= 0; i--) {
+            result.timestamps.push((lastTimestamp - i * interval) * 1000); // Convert to milliseconds
+        }
+
+        data.forEach(([keyword, values = []]) => {
+            result.values[keyword] = values.slice(values.length - minLength);
+        });
+
         return result;
     }
 }
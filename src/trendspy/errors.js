@@ -0,0 +1,151 @@
+/**
+ * @constant {number}
+ * Maximum number of characters of a response body kept on errors
+ */
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Parses a Retry-After header value (delay in seconds or HTTP date).
+ * @param {string|number} value - Header value
+ * @returns {number|null} Delay in seconds, or null if missing or unparseable
+ *
+ * @example
+ * parseRetryAfter('120')                           // returns 120
+ * parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT') // returns seconds until that date (0 if past)
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.round((date - Date.now()) / 1000));
+}
+
+/**
+ * Base class of every error raised by the library.
+ */
+class TrendsError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details]
+     * @param {string} [details.url] - URL of the failed request
+     * @param {number} [details.status] - HTTP status code of the last response
+     * @param {number} [details.retries] - Number of attempts made
+     * @param {*} [details.response] - Body of the last response, kept as a short snippet
+     * @param {number} [details.retryAfter] - Seconds to wait before retrying, when known
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = details.url || null;
+        this.status = details.status || null;
+        this.retries = details.retries || 0;
+        this.responseSnippet = TrendsError._snippet(details.response);
+        this.retryAfter = details.retryAfter === undefined ? null : details.retryAfter;
+        if (details.cause) {
+            this.cause = details.cause;
+        }
+    }
+
+    /**
+     * Truncate a response body for error reporting
+     * @private
+     */
+    static _snippet(body) {
+        if (body === undefined || body === null) {
+            return null;
+        }
+        const text = typeof body === 'string' ? body : JSON.stringify(body);
+        return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}...` : text;
+    }
+}
+
+/**
+ * Google answered with an unexpected HTTP status.
+ */
+class TrendsRequestError extends TrendsError {}
+
+/**
+ * Google is rate limiting the client (HTTP 429, or 302 redirects to the "sorry" page).
+ * `retryAfter` holds the Retry-After hint when Google sent one.
+ */
+class TrendsRateLimitError extends TrendsRequestError {}
+
+/**
+ * The API quota for embedded widgets (related queries/topics) is exhausted.
+ */
+class TrendsQuotaExceededError extends TrendsRateLimitError {
+    constructor(details = {}) {
+        super(
+            "API quota exceeded for related queries/topics. " +
+            "To resolve this, you can try:\n" +
+            "1. Use a different referer in request headers:\n" +
+            "   tr.relatedQueries(keyword, { headers: { referer: 'https://www.google.com/' } })\n" +
+            "2. Use a different IP address by configuring a proxy:\n" +
+            "   tr.setProxy('http://proxy:port')\n" +
+            "   # or rotate through a pool of proxies\n" +
+            "   new Trends({ proxies: ['http://proxy1:port', 'http://proxy2:port'] })\n" +
+            "3. Wait before making additional requests",
+            details
+        );
+    }
+}
+
+/**
+ * The session was rejected (HTTP 401/403) and could not be re-initialized.
+ */
+class TrendsSessionError extends TrendsRequestError {}
+
+/**
+ * No response was received (DNS failure, connection reset, timeout, ...).
+ */
+class TrendsNetworkError extends TrendsError {}
+
+/**
+ * A response could not be parsed, usually because Google changed its format.
+ */
+class TrendsParseError extends TrendsError {}
+
+/**
+ * The arguments of a call are invalid; raised before any request is sent.
+ */
+class TrendsInvalidArgumentError extends TrendsError {}
+
+/**
+ * The call was cancelled through its AbortSignal, or ran past its timeout.
+ */
+class TrendsAbortError extends TrendsError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details] - Same as TrendsError, plus:
+     * @param {boolean} [details.timedOut=false] - Whether the call ran past its timeout
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.timedOut = Boolean(details.timedOut);
+    }
+}
+
+/**
+ * Replay mode found no recorded exchange matching a request.
+ */
+class TrendsReplayError extends TrendsError {}
+
+module.exports = {
+    parseRetryAfter,
+    TrendsError,
+    TrendsRequestError,
+    TrendsRateLimitError,
+    TrendsQuotaExceededError,
+    TrendsSessionError,
+    TrendsNetworkError,
+    TrendsParseError,
+    TrendsInvalidArgumentError,
+    TrendsAbortError,
+    TrendsReplayError
+};
@@ -1,28 +1,33 @@
 /**
  * Recursively transforms a tree structure into a flat list.
  * @param {Object} node - Tree node with 'name', 'id' and optional 'children' keys
- * @param {string} parentId - Parent node ID
+ * @param {string} parentId - Parent node ID (already joined when joinIds is set)
  * @param {Array} result - Accumulated result
  * @param {boolean} joinIds - Whether to join IDs with parent
- * @returns {Array} List of objects with name and id
+ * @returns {Array} List of objects with name, id and parentId (null for top-level nodes)
  */
 function flattenTree(node, parentId = '', result = null, joinIds = true) {
     if (!result) {
         result = [];
     }
 
+    // Root nodes of the picker trees (e.g. "Worldwide") may carry no ID
+    const hasId = node.id !== undefined && node.id !== null && node.id !== '';
     const currentId = node.id;
     // Join IDs only for geographical data
     const fullId = joinIds && parentId ? `${parentId}-${currentId}` : currentId;
 
-    result.push({
-        name: node.name,
-        id: fullId
-    });
+    if (hasId) {
+        result.push({
+            name: node.name,
+            id: fullId,
+            parentId: parentId === '' ? null : parentId
+        });
+    }
 
     if (node.children) {
         for (const child of node.children) {
-            flattenTree(child, joinIds ? fullId : '', result, joinIds);
+            flattenTree(child, hasId ? fullId : '', result, joinIds);
         }
     }
 
@@ -41,8 +46,12 @@ class HierarchicalIndex {
      * @param {boolean} partialIdSearch - Whether to allow partial ID matches
      */
     constructor(items, partialIdSearch = true) {
-        // Main storage: Map with lowercase name as key
-        this.nameToItem = new Map();
+        // Main storage: Map with lowercase name as key and the items of that name as value,
+        // since names repeat across the tree (Georgia the country and the US state)
+        this.nameToItems = new Map();
+
+        // Lookup by ID (stringified, so numeric category IDs match string queries)
+        this.idToItem = new Map();
         
         // Inverted index for partial matching
         this.wordIndex = new Map();
@@ -64,9 +73,16 @@ class HierarchicalIndex {
         const name = item.name.toLowerCase();
         
         // Add to main storage
-        this.nameToItem.set(name, item);
+        if (!this.nameToItems.has(name)) {
+            this.nameToItems.set(name, []);
+        }
+        this.nameToItems.get(name).push(item);
+        this.idToItem.set(String(item.id), item);
         
-        // Split name into words and add to inverted index
+        // Split name into words and add to inverted index (names of duplicates are already in it)
+        if (this.nameToItems.get(name).length > 1) {
+            return;
+        }
         const words = new Set(name.split(/\W+/));
         for (const word of words) {
             if (word) {
@@ -81,10 +97,10 @@ class HierarchicalIndex {
     /**
      * Perform exact name search (case-insensitive).
      * @param {string} name - Name to search for
-     * @returns {Object|null} Item object if found, null otherwise
+     * @returns {Array} Every item with that name, empty if none
      */
     exactSearch(name) {
-        return this.nameToItem.get(name.toLowerCase()) || null;
+        return (this.nameToItems.get(name.toLowerCase()) || []).slice();
     }
 
     /**
@@ -104,14 +120,14 @@ class HierarchicalIndex {
         }
         
         // Also check if query matches any part of full names
-        for (const name of this.nameToItem.keys()) {
+        for (const name of this.nameToItems.keys()) {
             if (name.includes(query)) {
                 results.add(name);
             }
         }
         
         // Return found items
-        return Array.from(results).map(name => this.nameToItem.get(name));
+        return Array.from(results).flatMap(name => this.nameToItems.get(name));
     }
 
     /**
@@ -120,15 +136,33 @@ class HierarchicalIndex {
      * @returns {Array} List of matching item objects
      */
     idSearch(idQuery) {
+        idQuery = String(idQuery);
         if (this.partialIdSearch) {
             // For geo data - allow partial matches
-            return Array.from(this.nameToItem.values())
-                .filter(item => item.id.includes(idQuery));
+            return Array.from(this.idToItem.values())
+                .filter(item => String(item.id).includes(idQuery));
         } else {
             // For categories - only exact matches
-            return Array.from(this.nameToItem.values())
-                .filter(item => item.id === idQuery);
+            const item = this.idToItem.get(idQuery);
+            return item ? [item] : [];
+        }
+    }
+
+    /**
+     * Get the chain of ancestors of an item, from the top level down to the item itself.
+     * @param {string|number} id - ID of the item
+     * @returns {Array} List of item objects, empty if the ID is unknown
+     */
+    getPath(id) {
+        const path = [];
+        let item = this.idToItem.get(String(id));
+        while (item) {
+            path.unshift(item);
+            item = item.parentId === null || item.parentId === undefined
+                ? null
+                : this.idToItem.get(String(item.parentId));
         }
+        return path;
     }
 }
 
@@ -0,0 +1,65 @@
+const { TrendsInvalidArgumentError } = require('./errors');
+
+/**
+ * @constant {string[]}
+ * Log levels, from most to least verbose
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Logger interface accepted by the `logger` option of Trends. Each method receives a
+ * message and an object of structured fields, so `console`, or a thin wrapper around
+ * pino/winston, can be used directly.
+ * @typedef {Object} Logger
+ * @property {function(string, Object): void} debug
+ * @property {function(string, Object): void} info
+ * @property {function(string, Object): void} warn
+ * @property {function(string, Object): void} error
+ */
+
+/**
+ * Fills in missing logger methods with no-ops. A missing logger logs nothing.
+ * @param {Logger|Object} [logger] - Logger, possibly implementing only some levels
+ * @returns {Logger}
+ */
+function normalizeLogger(logger = null) {
+    const normalized = {};
+    LOG_LEVELS.forEach(level => {
+        normalized[level] = logger && typeof logger[level] === 'function'
+            ? logger[level].bind(logger)
+            : () => {};
+    });
+    return normalized;
+}
+
+/**
+ * Creates a logger writing to stderr, for scripts that want to see what the client does.
+ * @param {string} [level='info'] - Minimum level to write
+ * @returns {Logger}
+ *
+ * @example
+ * new Trends({ logger: createConsoleLogger('debug') })
+ * // [trendspy] debug: request {"method":"GET","url":"https://trends.google.com/..."}
+ */
+function createConsoleLogger(level = 'info') {
+    const minLevel = LOG_LEVELS.indexOf(level);
+    if (minLevel === -1) {
+        throw new TrendsInvalidArgumentError(`Invalid log level: ${level}. Expected one of: ${LOG_LEVELS.join(', ')}`);
+    }
+
+    const logger = {};
+    LOG_LEVELS.forEach((name, i) => {
+        logger[name] = (message, fields = {}) => {
+            if (i < minLevel) return;
+            const suffix = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+            process.stderr.write(`[trendspy] ${name}: ${message}${suffix}\n`);
+        };
+    });
+    return logger;
+}
+
+module.exports = {
+    LOG_LEVELS,
+    normalizeLogger,
+    createConsoleLogger
+};
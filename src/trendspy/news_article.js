@@ -1,19 +1,36 @@
 const { DateTime } = require('luxon');
 
 class NewsArticle {
-    constructor(title, snippet, source, url, time) {
+    constructor(title, snippet, source, url, time, picture = null) {
         this.title = title;
         this.snippet = snippet;
         this.source = source;
         this.url = url;
         this.time = time;
+        this.picture = picture;
     }
 
     static fromApi(data) {
-        let title = data.title || data.snippet;
-        let snippet = data.snippet || data.title;
-        let source = data.source;
-        let url = data.url || data.link;
+        // batchexecute responses encode articles as [title, url, source, [seconds], image]
+        if (Array.isArray(data)) {
+            const [title, url, source, time, picture] = data;
+            return new NewsArticle(
+                title,
+                title,
+                source,
+                url,
+                Array.isArray(time) ? time[0] : (time || null),
+                picture || null
+            );
+        }
+
+        // RSS news items prefix their fields with news_item_
+        const field = name => data[name] || data[`news_item_${name}`];
+        let title = field('title') || field('snippet');
+        let snippet = field('snippet') || field('title');
+        let source = field('source');
+        let url = field('url') || field('link');
+        let picture = field('picture') || data.image?.imageUrl || null;
         let time = null;
 
         if (data.time) {
@@ -21,14 +38,10 @@ class NewsArticle {
                 ? data.time 
                 : DateTime.fromISO(data.time).toSeconds();
         } else if (data.pubDate) {
-            time = DateTime.fromFormat(
-                data.pubDate,
-                'EEE, dd MMM yyyy HH:mm:ss ZZZ',
-                { zone: 'utc' }
-            ).toSeconds();
+            time = DateTime.fromRFC2822(data.pubDate, { zone: 'utc' }).toSeconds();
         }
 
-        return new NewsArticle(title, snippet, source, url, time);
+        return new NewsArticle(title, snippet, source, url, time, picture);
     }
 
     toString() {
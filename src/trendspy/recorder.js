@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { URLSearchParams } = require('url');
+const { endpointName } = require('./cache');
+const { TrendsInvalidArgumentError, TrendsReplayError } = require('./errors');
+
+/**
+ * @constant {string[]}
+ * Modes of an ExchangeRecorder
+ */
+const RECORDER_MODES = ['record', 'replay'];
+
+// Response headers never written to fixtures
+const SKIPPED_HEADERS = ['set-cookie'];
+
+/**
+ * Serialize a value to JSON with object keys sorted at every level
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Normalize a parameter value: JSON payloads (such as the `req` parameter) are
+ * re-serialized with sorted keys, anything else is compared as a string.
+ * @private
+ */
+function normalizeValue(value) {
+    const text = String(value);
+    if (/^\s*[[{]/.test(text)) {
+        try {
+            return canonicalJson(JSON.parse(text));
+        } catch (error) {
+            // Not JSON after all
+        }
+    }
+    return text;
+}
+
+/**
+ * Normalize a request so that equivalent requests compare equal: parameters are sorted,
+ * JSON values are canonicalized and form-encoded bodies (batchexecute) are decoded.
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Request URL
+ * @param {Object} [request.params] - Query parameters
+ * @param {string} [request.body] - Encoded request body
+ * @returns {{method: string, url: string, params: Array<Array<string>>, body: Array<Array<string>>|string|null}}
+ */
+function normalizeRequest({ method, url, params = null, body = null }) {
+    const normalizedParams = Object.keys(params || {})
+        .sort()
+        .map(key => [key, normalizeValue(params[key])]);
+
+    let normalizedBody = null;
+    if (typeof body === 'string' && body.includes('=')) {
+        normalizedBody = Array.from(new URLSearchParams(body).entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([key, value]) => [key, normalizeValue(value)]);
+    } else if (body !== null && body !== undefined) {
+        normalizedBody = normalizeValue(body);
+    }
+
+    return {
+        method: method.toUpperCase(),
+        url,
+        params: normalizedParams,
+        body: normalizedBody
+    };
+}
+
+/**
+ * Records HTTP exchanges to a fixture directory, or replays them without any network.
+ *
+ * Each distinct request (see normalizeRequest) is stored in its own JSON file named after its
+ * endpoint and a hash of the request, e.g. `widgetdata-3f2a9c0d1e4b5a6f.json`. When the same
+ * request is sent several times (retries after a 429, for instance) every response is kept,
+ * and replay serves them back in order, repeating the last one once they run out.
+ */
+class ExchangeRecorder {
+    /**
+     * @param {string} directory - Fixture directory (created if missing when recording)
+     * @param {Object} [options]
+     * @param {string} [options.mode='replay'] - 'record' to save exchanges, 'replay' to serve them
+     * @throws {TrendsInvalidArgumentError} If the mode is unknown
+     */
+    constructor(directory, options = {}) {
+        const { mode = 'replay' } = options;
+        if (!RECORDER_MODES.includes(mode)) {
+            throw new TrendsInvalidArgumentError(
+                `Invalid recorder mode: ${mode}. Use one of ${RECORDER_MODES.join(', ')}`
+            );
+        }
+        this.directory = directory;
+        this.mode = mode;
+        this._fixtures = new Map();
+        this._replayed = new Map();
+    }
+
+    /**
+     * Get the fixture file name of a request
+     * @param {Object} request - See normalizeRequest
+     * @returns {string}
+     */
+    fixtureName(request) {
+        const hash = crypto
+            .createHash('sha256')
+            .update(canonicalJson(normalizeRequest(request)))
+            .digest('hex');
+        return `${endpointName(request.url)}-${hash.slice(0, 16)}.json`;
+    }
+
+    /**
+     * Save a response to the fixture of its request. The first response recorded by
+     * this instance replaces any older fixture of the same request.
+     * @param {Object} request - See normalizeRequest
+     * @param {Object} response - axios response
+     */
+    async record(request, response) {
+        const name = this.fixtureName(request);
+        if (!this._fixtures.has(name)) {
+            this._fixtures.set(name, { request: normalizeRequest(request), responses: [] });
+        }
+        const fixture = this._fixtures.get(name);
+
+        const headers = typeof response.headers.toJSON === 'function'
+            ? response.headers.toJSON()
+            : { ...response.headers };
+        SKIPPED_HEADERS.forEach(header => delete headers[header]);
+        fixture.responses.push({
+            status: response.status,
+            headers,
+            data: response.data,
+            recordedAt: new Date().toISOString()
+        });
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(path.join(this.directory, name), JSON.stringify(fixture, null, 2));
+    }
+
+    /**
+     * Serve the next recorded response of a request
+     * @param {Object} request - See normalizeRequest
+     * @returns {Promise<Object>} Response with status, headers, data and `fromReplay` set
+     * @throws {TrendsReplayError} If no fixture matches the request
+     */
+    async replay(request) {
+        const name = this.fixtureName(request);
+        if (!this._fixtures.has(name)) {
+            let fixture;
+            try {
+                fixture = JSON.parse(await fs.promises.readFile(path.join(this.directory, name), 'utf8'));
+            } catch (error) {
+                throw new TrendsReplayError(
+                    `No recorded exchange for ${request.method} ${request.url} (expected ${name})`,
+                    { url: request.url, cause: error }
+                );
+            }
+            this._fixtures.set(name, fixture);
+        }
+
+        const { responses } = this._fixtures.get(name);
+        const index = this._replayed.get(name) || 0;
+        this._replayed.set(name, index + 1);
+        const { status, headers, data } = responses[Math.min(index, responses.length - 1)];
+        return { status, headers, data, config: { url: request.url }, fromReplay: true };
+    }
+}
+
+module.exports = {
+    RECORDER_MODES,
+    canonicalJson,
+    normalizeRequest,
+    ExchangeRecorder
+};
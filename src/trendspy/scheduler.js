@@ -0,0 +1,228 @@
+const { TrendsInvalidArgumentError } = require('./errors');
+const { abortError } = require('./utils');
+
+/**
+ * A token bucket: holds up to `burst` tokens and refills at `rate` tokens per second.
+ */
+class TokenBucket {
+    /**
+     * @param {number} rate - Tokens added per second (Infinity for no limit)
+     * @param {number} burst - Maximum number of tokens
+     */
+    constructor(rate, burst) {
+        if (!(rate > 0) || !(burst >= 1)) {
+            throw new TrendsInvalidArgumentError(
+                `Invalid token bucket: rate must be > 0 and burst >= 1, got rate ${rate}, burst ${burst}`
+            );
+        }
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Add the tokens accumulated since the last update
+     * @private
+     */
+    _refill(now) {
+        if (this.rate === Infinity) {
+            this.tokens = this.burst;
+        } else {
+            this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        }
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until a token is available (0 if one is available now)
+     * @param {number} [now=Date.now()]
+     * @returns {number}
+     */
+    waitTime(now = Date.now()) {
+        this._refill(now);
+        return this.tokens >= 1 ? 0 : (1 - this.tokens) / this.rate * 1000;
+    }
+
+    /**
+     * Consume one token. Callers check waitTime first.
+     */
+    take() {
+        this.tokens -= 1;
+    }
+}
+
+/**
+ * Schedules requests with a global token bucket, optional per-endpoint token buckets,
+ * a bounded number of requests in flight and a priority queue.
+ * One scheduler can be shared by several Trends instances to respect a common limit.
+ *
+ * @example
+ * const scheduler = new RequestScheduler({
+ *     rate: 0.5,           // 1 request every 2 seconds on average
+ *     burst: 2,
+ *     concurrency: 2,
+ *     endpoints: {
+ *         widgetdata: { rate: 1, burst: 3, priority: 1 },
+ *         batchexecute: { rate: 0.2, burst: 1 }
+ *     }
+ * });
+ * new Trends({ scheduler });
+ */
+class RequestScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.rate=Infinity] - Requests per second across all endpoints
+     * @param {number} [options.burst=1] - Requests allowed at once before the rate applies
+     * @param {number} [options.concurrency=Infinity] - Maximum requests in flight
+     * @param {Object.<string, {rate: number, burst: number, priority: number}>} [options.endpoints={}] -
+     *     Extra limits and queue priority per endpoint (see endpointName). Higher priorities run first
+     */
+    constructor(options = {}) {
+        const {
+            rate = Infinity,
+            burst = 1,
+            concurrency = Infinity,
+            endpoints = {}
+        } = options;
+
+        if (!(concurrency >= 1)) {
+            throw new TrendsInvalidArgumentError(`Concurrency must be at least 1, got ${concurrency}`);
+        }
+
+        this.concurrency = concurrency;
+        this._global = new TokenBucket(rate, burst);
+        this._endpoints = new Map(Object.entries(endpoints).map(([name, config]) => [name, {
+            bucket: config.rate ? new TokenBucket(config.rate, config.burst || 1) : null,
+            priority: config.priority || 0
+        }]));
+        this._queue = [];
+        this._sequence = 0;
+        this._inFlight = 0;
+        this._timer = null;
+    }
+
+    /**
+     * Number of tasks waiting for a slot
+     * @returns {number}
+     */
+    get pending() {
+        return this._queue.length;
+    }
+
+    /**
+     * Number of tasks running
+     * @returns {number}
+     */
+    get inFlight() {
+        return this._inFlight;
+    }
+
+    /**
+     * Run a task once the rate limits and the concurrency limit allow it
+     * @param {function(): Promise<*>} task - Function sending the request
+     * @param {Object} [options]
+     * @param {string} [options.endpoint='default'] - Endpoint the request targets
+     * @param {number} [options.priority] - Queue priority, overriding the endpoint's
+     * @param {AbortSignal} [options.signal] - Signal removing the task from the queue if it has not started
+     * @returns {Promise<*>} Result of the task
+     * @throws {TrendsAbortError} If the signal is aborted before the task starts
+     */
+    schedule(task, options = {}) {
+        const { endpoint = 'default', priority = null, signal = null } = options;
+        const endpointConfig = this._endpoints.get(endpoint);
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortError(signal));
+                return;
+            }
+
+            const item = {
+                task,
+                endpoint,
+                priority: priority !== null ? priority : (endpointConfig ? endpointConfig.priority : 0),
+                sequence: this._sequence++,
+                resolve,
+                reject
+            };
+
+            if (signal) {
+                const onAbort = () => {
+                    const index = this._queue.indexOf(item);
+                    if (index !== -1) {
+                        this._queue.splice(index, 1);
+                        reject(abortError(signal));
+                    }
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                item.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this._queue.push(item);
+            this._drain();
+        });
+    }
+
+    /**
+     * Start every queued task that can run now, and wake up when the next one can
+     * @private
+     */
+    _drain() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+
+        const now = Date.now();
+        this._queue.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+
+        let nextWait = Infinity;
+        let i = 0;
+        while (i < this._queue.length && this._inFlight < this.concurrency) {
+            const item = this._queue[i];
+            const endpointConfig = this._endpoints.get(item.endpoint);
+            const buckets = [this._global];
+            if (endpointConfig && endpointConfig.bucket) {
+                buckets.push(endpointConfig.bucket);
+            }
+
+            const wait = Math.max(...buckets.map(bucket => bucket.waitTime(now)));
+            if (wait === 0) {
+                buckets.forEach(bucket => bucket.take());
+                this._queue.splice(i, 1);
+                this._run(item);
+            } else {
+                nextWait = Math.min(nextWait, wait);
+                i++;
+            }
+        }
+
+        if (this._queue.length > 0 && this._inFlight < this.concurrency && nextWait < Infinity) {
+            this._timer = setTimeout(() => this._drain(), Math.ceil(nextWait));
+        }
+    }
+
+    /**
+     * Run a dequeued task and free its slot when it settles
+     * @private
+     */
+    _run(item) {
+        if (item.cleanup) {
+            item.cleanup();
+        }
+        this._inFlight++;
+        Promise.resolve()
+            .then(item.task)
+            .then(item.resolve, item.reject)
+            .finally(() => {
+                this._inFlight--;
+                this._drain();
+            });
+    }
+}
+
+module.exports = {
+    TokenBucket,
+    RequestScheduler
+};
@@ -0,0 +1,230 @@
+const { convertTimeframe, decodeTrendDatetime, isValidDate } = require('./timeframe_utils');
+const { TrendsInvalidArgumentError } = require('./errors');
+
+/**
+ * @constant {Object.<string, Object>}
+ * Window settings per stitched resolution:
+ * - format: Luxon format of the window bounds in the request timeframe
+ * - unit: Luxon unit of windowSize and overlap
+ * - minWindow, maxWindow: Window sizes that get this resolution (see getResolutionAndRange).
+ *   Hourly windows are also capped at the 7 days convertTimeframe allows for dates with hours
+ * - defaultOverlap: Overlap between consecutive windows used to rescale them
+ */
+const STITCH_RESOLUTIONS = {
+    daily: {
+        format: 'yyyy-MM-dd',
+        unit: 'days',
+        minWindow: 8,
+        maxWindow: 269,
+        defaultOverlap: 60
+    },
+    hourly: {
+        format: "yyyy-MM-dd'T'HH",
+        unit: 'hours',
+        minWindow: 72,
+        maxWindow: 7 * 24,
+        defaultOverlap: 24
+    }
+};
+
+/**
+ * Resolves the start and end of a timeframe.
+ * Explicit date ranges are decoded directly, so ranges with hours may exceed the
+ * 7-day limit convertTimeframe enforces for single requests.
+ * @private
+ * @param {string} timeframe - Timeframe string
+ * @returns {DateTime[]} [start, end]
+ */
+function timeframeBounds(timeframe) {
+    const parts = timeframe.split(' ');
+    if (parts.length === 2 && parts.every(isValidDate)) {
+        return parts.map(decodeTrendDatetime);
+    }
+    return convertTimeframe(timeframe, true).split(' ').map(decodeTrendDatetime);
+}
+
+/**
+ * Splits a long timeframe into overlapping windows that each keep the requested resolution.
+ * Consecutive windows share at least `overlap` units; the last window ends exactly at the end of the range.
+ *
+ * @param {string} timeframe - Any timeframe accepted by convertTimeframe (e.g. '2019-01-01 2024-01-01', 'today 5-y'),
+ *     or an hourly range of any length (e.g. '2024-01-01T00 2024-03-01T00')
+ * @param {Object} [options]
+ * @param {string} [options.resolution='daily'] - Resolution to keep: 'daily' or 'hourly'
+ * @param {number} [options.windowSize] - Window length in resolution units (defaults to the largest allowed)
+ * @param {number} [options.overlap] - Overlap between windows in resolution units
+ * @returns {string[]} Timeframes of the windows, in chronological order
+ * @throws {TrendsInvalidArgumentError} If the resolution is unknown or the window settings are invalid
+ *
+ * @example
+ * splitTimeframe('2023-01-01 2024-01-01')
+ * // returns ['2023-01-01 2023-09-27', '2023-04-07 2024-01-01']
+ */
+function splitTimeframe(timeframe, options = {}) {
+    const { resolution = 'daily' } = options;
+    const settings = STITCH_RESOLUTIONS[resolution];
+    if (!settings) {
+        throw new TrendsInvalidArgumentError(
+            `Unsupported resolution: ${resolution}. ` +
+            `Expected one of: ${Object.keys(STITCH_RESOLUTIONS).join(', ')}`
+        );
+    }
+
+    const windowSize = options.windowSize || settings.maxWindow;
+    const overlap = options.overlap === undefined || options.overlap === null
+        ? settings.defaultOverlap
+        : options.overlap;
+
+    if (windowSize < settings.minWindow || windowSize > settings.maxWindow) {
+        throw new TrendsInvalidArgumentError(
+            `Window size ${windowSize} ${settings.unit} is out of range for ${resolution} data ` +
+            `(${settings.minWindow} to ${settings.maxWindow} ${settings.unit})`
+        );
+    }
+    if (overlap < 1 || overlap >= windowSize) {
+        throw new TrendsInvalidArgumentError(
+            `Overlap must be at least 1 and smaller than the window size, got ${overlap} ${settings.unit}`
+        );
+    }
+
+    const [start, end] = timeframeBounds(timeframe);
+    const windows = [];
+    let windowStart = start;
+
+    while (true) {
+        const windowEnd = windowStart.plus({ [settings.unit]: windowSize });
+        if (windowEnd >= end) {
+            // Keep the last window full-sized so its overlap stays as large as possible
+            const fullStart = end.minus({ [settings.unit]: windowSize });
+            const lastStart = fullStart > start ? fullStart : start;
+            windows.push(`${lastStart.toFormat(settings.format)} ${end.toFormat(settings.format)}`);
+            break;
+        }
+        windows.push(`${windowStart.toFormat(settings.format)} ${windowEnd.toFormat(settings.format)}`);
+        windowStart = windowEnd.minus({ [settings.unit]: overlap });
+    }
+
+    return windows;
+}
+
+/**
+ * Chains overlapping interestOverTime results into one consistently normalized series.
+ * Each window is rescaled onto the previous ones using the ratio of their summed values
+ * over the shared timestamps (all keywords together, since Google normalizes them jointly).
+ * When the overlap holds no data, the window cannot be put on the same scale: the overlap
+ * is reported as a gap and the window starts a new chain, which the following windows are
+ * rescaled onto. Chains are not comparable with each other, so each one is rescaled so that
+ * its own maximum is 100, and `chains` tells which chain every point belongs to. Points are
+ * taken from the first window that covers them.
+ *
+ * @param {Array<{timestamps: number[], values: Object<string, number[]>}>} windows - Results in chronological order
+ * @returns {{timestamps: number[], values: Object<string, number[]>, chains: number[], factors: Array<number|null>,
+ *     gaps: Array<Object>}}
+ *     Stitched series, with:
+ *     - chains: per timestamp, the index of the chain its values belong to (0 until the first gap)
+ *     - factors: per input window, the factor turning its raw values into values of its chain
+ *       (null for empty windows)
+ *     - gaps: windows whose overlap was all zeros or missing, as { window, start, end }
+ *       (window index and overlap timestamps, null when nothing overlapped). Each one starts a new chain
+ *
+ * @example
+ * stitchSeries([
+ *     { timestamps: [1, 2, 3], values: { a: [50, 100, 80] } },
+ *     { timestamps: [3, 4], values: { a: [40, 100] } }
+ * ])
+ * // returns { timestamps: [1, 2, 3, 4], values: { a: [25, 50, 40, 100] }, chains: [0, 0, 0, 0],
+ * //     factors: [0.5, 1], gaps: [] }
+ */
+function stitchSeries(windows) {
+    const isEmpty = window => !window || !window.timestamps || window.timestamps.length === 0;
+    const first = windows.find(window => !isEmpty(window));
+    if (!first) {
+        return { timestamps: [], values: {}, chains: [], factors: windows.map(() => null), gaps: [] };
+    }
+
+    const keywords = Object.keys(first.values);
+    // Stitched points as { chain, values }, and the points of the current chain on its own scale
+    const stitched = new Map();
+    let chainValues = null;
+    const windowChains = [];
+    const factors = [];
+    const gaps = [];
+
+    windows.forEach((window, i) => {
+        if (isEmpty(window)) {
+            windowChains.push(null);
+            factors.push(null);
+            return;
+        }
+
+        let factor = 1;
+        if (chainValues) {
+            const shared = window.timestamps.filter(timestamp => chainValues.has(timestamp));
+            let previousSum = 0;
+            let currentSum = 0;
+            window.timestamps.forEach((timestamp, j) => {
+                if (chainValues.has(timestamp)) {
+                    keywords.forEach((keyword, k) => {
+                        previousSum += chainValues.get(timestamp)[k];
+                        currentSum += window.values[keyword][j];
+                    });
+                }
+            });
+            if (previousSum > 0 && currentSum > 0) {
+                factor = previousSum / currentSum;
+            } else {
+                // The chain of factors is broken: start a new one on this window's scale
+                chainValues = null;
+                gaps.push({
+                    window: i,
+                    start: shared.length ? shared[0] : null,
+                    end: shared.length ? shared[shared.length - 1] : null
+                });
+            }
+        }
+        if (!chainValues) {
+            chainValues = new Map();
+        }
+
+        const chain = gaps.length;
+        windowChains.push(chain);
+        factors.push(factor);
+        window.timestamps.forEach((timestamp, j) => {
+            if (!chainValues.has(timestamp)) {
+                chainValues.set(timestamp, keywords.map(keyword => window.values[keyword][j] * factor));
+            }
+            if (!stitched.has(timestamp)) {
+                stitched.set(timestamp, { chain, values: chainValues.get(timestamp) });
+            }
+        });
+    });
+
+    const timestamps = Array.from(stitched.keys()).sort((a, b) => a - b);
+    const maxima = new Array(gaps.length + 1).fill(0);
+    stitched.forEach(({ chain, values }) => {
+        maxima[chain] = Math.max(maxima[chain], ...values);
+    });
+    const scales = maxima.map(max => (max > 0 ? 100 / max : 1));
+
+    const values = {};
+    keywords.forEach((keyword, k) => {
+        values[keyword] = timestamps.map(timestamp => {
+            const { chain, values: point } = stitched.get(timestamp);
+            return point[k] * scales[chain];
+        });
+    });
+
+    return {
+        timestamps,
+        values,
+        chains: timestamps.map(timestamp => stitched.get(timestamp).chain),
+        factors: factors.map((f, i) => (f === null ? null : f * scales[windowChains[i]])),
+        gaps
+    };
+}
+
+module.exports = {
+    STITCH_RESOLUTIONS,
+    splitTimeframe,
+    stitchSeries
+};
@@ -0,0 +1,375 @@
+const { DateTime } = require('luxon');
+const { TrendsInvalidArgumentError } = require('./errors');
+
+/**
+ * @constant {string[]}
+ * Timestamp formats of the TrendsTable writers:
+ * - iso: ISO 8601 strings in UTC, e.g. '2024-03-01T00:00:00Z'
+ * - epoch: Unix timestamps in milliseconds, as stored in the table
+ */
+const TIMESTAMP_FORMATS = ['iso', 'epoch'];
+
+/**
+ * Check a timestamp format
+ * @private
+ */
+function checkTimestampFormat(format) {
+    if (!TIMESTAMP_FORMATS.includes(format)) {
+        throw new TrendsInvalidArgumentError(
+            `Invalid timestamps format: ${format}. Use one of ${TIMESTAMP_FORMATS.join(', ')}`
+        );
+    }
+    return format;
+}
+
+/**
+ * Quote a CSV field when it holds the delimiter, quotes or line breaks (RFC 4180)
+ * @private
+ */
+function csvField(value, delimiter) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Rows of a ranked list (related queries or topics), with the list name and rank
+ * @private
+ */
+function rankedRows(result) {
+    return ['top', 'rising'].flatMap(list =>
+        (result[list] || []).map((item, index) => ({ list, rank: index + 1, ...item }))
+    );
+}
+
+/**
+ * Table of results shared by all methods, in wide or long format. Timestamps are stored
+ * as Unix milliseconds, like in the results they come from, and written as ISO strings
+ * or epoch milliseconds.
+ *
+ * Wide tables have one column per keyword (the `valueColumns`) and one row per timestamp
+ * or region; `toLong` turns them into one row per (row, keyword) pair, and `toWide` turns
+ * long tables back.
+ *
+ * @example
+ * const table = TrendsTable.from(await trends.interestOverTime(['python', 'java']));
+ * table.toCSV();
+ * // timestamp,isPartial,python,java
+ * // 2024-03-10T00:00:00Z,false,45,62
+ * // ...
+ * table.toLong().toJSONL({ timestamps: 'epoch' });
+ * // {"timestamp":1710028800000,"isPartial":false,"keyword":"python","value":45}
+ * // ...
+ */
+class TrendsTable {
+    /**
+     * @param {string[]} columns Column names
+     * @param {Array<Array>} rows Rows, as arrays of values in column order
+     * @param {Object} [options]
+     * @param {string[]} [options.timeColumns=[]] Columns holding timestamps in milliseconds
+     * @param {string[]} [options.valueColumns=[]] Columns holding one keyword each (wide tables)
+     * @param {string[]} [options.index=[]] Columns identifying a row of the wide table
+     * @throws {TrendsInvalidArgumentError} If a row does not match the columns or an option names an unknown column
+     */
+    constructor(columns, rows = [], options = {}) {
+        const { timeColumns = [], valueColumns = [], index = [] } = options;
+        this.columns = [...columns];
+        this.rows = rows;
+        this.timeColumns = timeColumns;
+        this.valueColumns = valueColumns;
+        this.index = index;
+
+        [...timeColumns, ...valueColumns, ...index].forEach(column => this._position(column));
+        rows.forEach((row, i) => {
+            if (row.length !== columns.length) {
+                throw new TrendsInvalidArgumentError(
+                    `Row ${i} has ${row.length} values for ${columns.length} columns`
+                );
+            }
+        });
+    }
+
+    /**
+     * Build a table from the result of any method: interest over time (including
+     * compared timeframes, stitched and anchored series), Trending Now showcase timelines,
+     * interest by region, related queries and topics, or any array of objects
+     * (suggestions, trendingNow, trendingNowByRss, ...)
+     * @param {Object|Array} result Result to convert
+     * @returns {TrendsTable}
+     * @throws {TrendsInvalidArgumentError} If the result has an unknown shape
+     */
+    static from(result) {
+        if (result instanceof TrendsTable) return result;
+        if (Array.isArray(result)) return TrendsTable.fromRecords(result);
+        if (result && typeof result === 'object') {
+            if (result.offsets && result.ranges) return TrendsTable.fromRanges(result);
+            if (result.regions) return TrendsTable.fromRegions(result);
+            if (result.timestamps && result.values) return TrendsTable.fromTimeseries(result);
+            if (result.top || result.rising) return TrendsTable.fromRecords(rankedRows(result));
+        }
+        throw new TrendsInvalidArgumentError('Unsupported result shape: expected a method result or an array of objects');
+    }
+
+    /**
+     * Build a wide table from a time series ({timestamps, values, isPartial?}):
+     * a timestamp column, an isPartial column when present and one column per keyword
+     * @param {Object} result Time series result
+     * @returns {TrendsTable}
+     */
+    static fromTimeseries(result) {
+        const labels = Object.keys(result.values);
+        const partial = Array.isArray(result.isPartial);
+        const columns = ['timestamp', ...(partial ? ['isPartial'] : []), ...labels];
+        const rows = result.timestamps.map((timestamp, i) => [
+            timestamp,
+            ...(partial ? [result.isPartial[i]] : []),
+            ...labels.map(label => result.values[label][i])
+        ]);
+        return new TrendsTable(columns, rows, {
+            timeColumns: ['timestamp'],
+            valueColumns: labels,
+            index: ['timestamp']
+        });
+    }
+
+    /**
+     * Build a long table from compared timeframes (see multirangeInterestOverTime): one row
+     * per offset and range, with the real timestamp of the point in its range. Use
+     * `toWide()` to get one column per range, aligned on offsets
+     * @param {Object} result Multi-range result
+     * @returns {TrendsTable}
+     */
+    static fromRanges(result) {
+        const rows = [];
+        result.offsets.forEach((offset, i) => {
+            result.ranges.forEach(range => {
+                rows.push([offset, range.timestamps[i], range.isPartial[i], range.label, result.values[range.label][i]]);
+            });
+        });
+        return new TrendsTable(['offset', 'timestamp', 'isPartial', 'keyword', 'value'], rows, {
+            timeColumns: ['timestamp'],
+            index: ['offset']
+        });
+    }
+
+    /**
+     * Build a wide table from interest by region: geoCode, geoName, lat and lng (city
+     * resolution only), isLowVolume and one column per keyword
+     * @param {Object} result Interest by region result
+     * @returns {TrendsTable}
+     */
+    static fromRegions(result) {
+        const labels = Object.keys(result.values || {});
+        const located = result.regions.some(region => region.coordinates);
+        const columns = ['geoCode', 'geoName', ...(located ? ['lat', 'lng'] : []), 'isLowVolume', ...labels];
+        const rows = result.regions.map(region => [
+            region.geoCode,
+            region.geoName,
+            ...(located ? [region.coordinates?.lat ?? null, region.coordinates?.lng ?? null] : []),
+            region.isLowVolume,
+            ...labels.map(label => region.value[label])
+        ]);
+        return new TrendsTable(columns, rows, {
+            valueColumns: labels,
+            index: ['geoCode', 'geoName']
+        });
+    }
+
+    /**
+     * Build a table from an array of objects. Columns are the union of their own enumerable
+     * properties in first-seen order; properties starting with '_' are left out
+     * @param {Array<Object>} records Objects to convert
+     * @param {Object} [options]
+     * @param {string[]} [options.timeColumns=[]] Properties holding timestamps in milliseconds
+     * @returns {TrendsTable}
+     */
+    static fromRecords(records, options = {}) {
+        const { timeColumns = [] } = options;
+        const columns = [];
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!key.startsWith('_') && !columns.includes(key)) columns.push(key);
+            });
+        });
+        const rows = records.map(record => columns.map(column =>
+            record[column] === undefined ? null : record[column]
+        ));
+        return new TrendsTable(columns, rows, { timeColumns: timeColumns.filter(column => columns.includes(column)) });
+    }
+
+    /**
+     * Number of rows
+     * @returns {number}
+     */
+    get length() {
+        return this.rows.length;
+    }
+
+    /**
+     * Iterate over the rows as objects keyed by column, with timestamps in milliseconds
+     * @yields {Object}
+     */
+    *[Symbol.iterator]() {
+        for (const row of this.rows) {
+            yield Object.fromEntries(this.columns.map((column, i) => [column, row[i]]));
+        }
+    }
+
+    /**
+     * Get the values of a column
+     * @param {string} name Column name
+     * @returns {Array}
+     * @throws {TrendsInvalidArgumentError} If the column does not exist
+     */
+    column(name) {
+        const position = this._position(name);
+        return this.rows.map(row => row[position]);
+    }
+
+    /**
+     * Reshape a wide table into a long one, with one row per row and keyword. The other
+     * columns become the index of the long table, so that `toWide()` restores the table
+     * @param {Object} [options]
+     * @param {string} [options.variable='keyword'] Name of the column holding the keyword
+     * @param {string} [options.value='value'] Name of the column holding the value
+     * @returns {TrendsTable}
+     * @throws {TrendsInvalidArgumentError} If the table has no keyword columns
+     */
+    toLong(options = {}) {
+        const { variable = 'keyword', value = 'value' } = options;
+        if (this.valueColumns.length === 0) {
+            throw new TrendsInvalidArgumentError('Table has no keyword columns to reshape into long format');
+        }
+
+        const idColumns = this.columns.filter(column => !this.valueColumns.includes(column));
+        const idPositions = idColumns.map(column => this._position(column));
+        const rows = [];
+        this.rows.forEach(row => {
+            this.valueColumns.forEach(label => {
+                rows.push([...idPositions.map(i => row[i]), label, row[this._position(label)]]);
+            });
+        });
+        return new TrendsTable([...idColumns, variable, value], rows, {
+            timeColumns: this.timeColumns,
+            index: idColumns
+        });
+    }
+
+    /**
+     * Reshape a long table into a wide one, with one column per keyword. Columns other
+     * than the index, keyword and value columns are dropped
+     * @param {Object} [options]
+     * @param {string[]} [options.index] Columns identifying a row (defaults to the table's index)
+     * @param {string} [options.variable='keyword'] Column holding the keyword
+     * @param {string} [options.value='value'] Column holding the value
+     * @returns {TrendsTable}
+     * @throws {TrendsInvalidArgumentError} If a column does not exist or a row has several values for a keyword
+     */
+    toWide(options = {}) {
+        const { index = this.index, variable = 'keyword', value = 'value' } = options;
+        if (index.length === 0) {
+            throw new TrendsInvalidArgumentError('toWide needs index columns identifying a row');
+        }
+        const indexPositions = index.map(column => this._position(column));
+        const variablePosition = this._position(variable);
+        const valuePosition = this._position(value);
+
+        const labels = [];
+        const groups = new Map();
+        this.rows.forEach(row => {
+            const label = row[variablePosition];
+            if (!labels.includes(label)) labels.push(label);
+            const keyValues = indexPositions.map(i => row[i]);
+            const key = JSON.stringify(keyValues);
+            if (!groups.has(key)) groups.set(key, { keyValues, values: new Map() });
+            const group = groups.get(key);
+            if (group.values.has(label)) {
+                throw new TrendsInvalidArgumentError(`Several values for ${label} at ${key}`);
+            }
+            group.values.set(label, row[valuePosition]);
+        });
+
+        const rows = Array.from(groups.values(), group => [
+            ...group.keyValues,
+            ...labels.map(label => (group.values.has(label) ? group.values.get(label) : null))
+        ]);
+        return new TrendsTable([...index, ...labels.map(String)], rows, {
+            timeColumns: this.timeColumns.filter(column => index.includes(column)),
+            valueColumns: labels.map(String),
+            index
+        });
+    }
+
+    /**
+     * Get the rows as objects keyed by column
+     * @param {Object} [options]
+     * @param {string} [options.timestamps='iso'] 'iso' or 'epoch' (milliseconds)
+     * @returns {Array<Object>}
+     */
+    toRecords(options = {}) {
+        const timestamps = checkTimestampFormat(options.timestamps || 'iso');
+        const timePositions = new Set(this.timeColumns.map(column => this._position(column)));
+        return this.rows.map(row => Object.fromEntries(this.columns.map((column, i) => [
+            column,
+            timePositions.has(i) ? this._formatTime(row[i], timestamps) : row[i]
+        ])));
+    }
+
+    /**
+     * Write the table as CSV. Objects and arrays are written as JSON, missing values as empty fields
+     * @param {Object} [options]
+     * @param {string} [options.timestamps='iso'] 'iso' or 'epoch' (milliseconds)
+     * @param {string} [options.delimiter=','] Field delimiter
+     * @param {boolean} [options.header=true] Write the column names first
+     * @returns {string} Lines separated by '\n', ending with one
+     */
+    toCSV(options = {}) {
+        const { delimiter = ',', header = true } = options;
+        const lines = this.toRecords(options).map(record =>
+            this.columns.map(column => csvField(record[column], delimiter)).join(delimiter)
+        );
+        if (header) {
+            lines.unshift(this.columns.map(column => csvField(column, delimiter)).join(delimiter));
+        }
+        return lines.map(line => `${line}\n`).join('');
+    }
+
+    /**
+     * Write the table as JSON Lines, one object per row
+     * @param {Object} [options]
+     * @param {string} [options.timestamps='iso'] 'iso' or 'epoch' (milliseconds)
+     * @returns {string} Lines separated by '\n', ending with one
+     */
+    toJSONL(options = {}) {
+        return this.toRecords(options).map(record => `${JSON.stringify(record)}\n`).join('');
+    }
+
+    /**
+     * Format a timestamp in milliseconds
+     * @private
+     */
+    _formatTime(value, format) {
+        if (value === null || value === undefined || format === 'epoch') return value;
+        return DateTime.fromMillis(value, { zone: 'utc' }).toISO({ suppressMilliseconds: true });
+    }
+
+    /**
+     * Get the position of a column
+     * @private
+     */
+    _position(column) {
+        const position = this.columns.indexOf(column);
+        if (position === -1) {
+            throw new TrendsInvalidArgumentError(`Unknown column: ${column}`);
+        }
+        return position;
+    }
+}
+
+module.exports = {
+    TIMESTAMP_FORMATS,
+    TrendsTable
+};
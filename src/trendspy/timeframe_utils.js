@@ -1,5 +1,6 @@
 const { DateTime, Duration } = require('luxon');
 const { ensureList } = require('./utils');
+const { TrendsInvalidArgumentError } = require('./errors');
 
 /**
  * @constant {RegExp}
@@ -108,7 +109,7 @@ function extractTimeParts(offsetStr) {
  * 
  * @param {string} dateStr - The date string to parse
  * @returns {DateTime} A Luxon DateTime object
- * @throws {InvalidArgumentError} If the date string cannot be parsed
+ * @throws {TrendsInvalidArgumentError} If the date string cannot be parsed
  * 
  * @example
  * decodeTrendDatetime('2024-03-15')    // returns DateTime for 2024-03-15 00:00:00
@@ -126,7 +127,7 @@ function decodeTrendDatetime(dateStr) {
  * @param {string} datePart1 - Start date in YYYY-MM-DD or YYYY-MM-DDTHh format
  * @param {string} datePart2 - End date in YYYY-MM-DD or YYYY-MM-DDTHh format
  * @returns {string} Formatted date range string
- * @throws {Error} If date difference exceeds 7 days when using hours
+ * @throws {TrendsInvalidArgumentError} If date difference exceeds 7 days when using hours
  * 
  * @example
  * processTwoDates('2024-03-15', '2024-03-16')           // returns "2024-03-15 2024-03-16"
@@ -151,7 +152,7 @@ function processTwoDates(datePart1, datePart2) {
     }
 
     if ((isT1 || isT2) && Math.abs(date2.diff(date1, 'days').days) > 7) {
-        throw new Error(`Date difference cannot exceed 7 days for format with hours: ${datePart1} ${datePart2}`);
+        throw new TrendsInvalidArgumentError(`Date difference cannot exceed 7 days for format with hours: ${datePart1} ${datePart2}`);
     }
 
     return `${date1.toFormat(DATE_T_FORMAT)} ${date2.toFormat(DATE_T_FORMAT)}`;
@@ -164,7 +165,7 @@ function processTwoDates(datePart1, datePart2) {
  * @param {string} datePart1 - Reference date in YYYY-MM-DD or YYYY-MM-DDTHh format
  * @param {string} offsetPart - Time offset in n-[Hdmy] format
  * @returns {string} Formatted date range string
- * @throws {Error} If using hours format with offset > 7 days
+ * @throws {TrendsInvalidArgumentError} If using hours format with offset > 7 days
  * 
  * @example
  * processDateWithOffset('2024-03-15', '24-H')     // returns "2024-03-14 2024-03-15"
@@ -191,7 +192,7 @@ function processDateWithOffset(datePart1, offsetPart) {
 
     if (datePart1.includes('T') && 
         ((unit === 'd' && count > 7) || (unit === 'H' && count > 7 * 24))) {
-        throw new Error(
+        throw new TrendsInvalidArgumentError(
             `Offset cannot exceed 7 days for format with time: ${datePart1} ${offsetPart}. ` +
             `Use YYYY-MM-DD format or "today".`
         );
@@ -209,7 +210,7 @@ function processDateWithOffset(datePart1, offsetPart) {
  * @param {string} timeframe - Input timeframe string
  * @param {boolean} [convertFixedTimeframesToDates=false] - Whether to convert fixed timeframes to explicit dates
  * @returns {string} Converted timeframe string in Google Trends format
- * @throws {Error} If timeframe format is invalid or constraints are violated
+ * @throws {TrendsInvalidArgumentError} If timeframe format is invalid or constraints are violated
  * 
  * @example
  * // Fixed timeframes
@@ -240,7 +241,7 @@ function convertTimeframe(timeframe, convertFixedTimeframesToDates = false) {
 
     const parts = timeframe.split(' ');
     if (parts.length !== 2) {
-        throw new Error(
+        throw new TrendsInvalidArgumentError(
             `Invalid timeframe format: ${timeframe}. ` +
             `Expected format: '<date> <offset>' or '<date> <date>'.`
         );
@@ -256,7 +257,7 @@ function convertTimeframe(timeframe, convertFixedTimeframesToDates = false) {
         }
     }
 
-    throw new Error(`Could not process timeframe: ${timeframe}`);
+    throw new TrendsInvalidArgumentError(`Could not process timeframe: ${timeframe}`);
 }
 
 /**
@@ -283,7 +284,7 @@ function timeframeToDuration(timeframe) {
  * 
  * @param {string|string[]} timeframes - Single timeframe string or array of timeframe strings
  * @returns {boolean} True if timeframes are consistent
- * @throws {Error} If timeframes have inconsistent durations
+ * @throws {TrendsInvalidArgumentError} If timeframes have inconsistent durations
  * 
  * @example
  * verifyConsistentTimeframes(['now 1-H', 'now 1-H'])           // returns true
@@ -302,7 +303,7 @@ function verifyConsistentTimeframes(timeframes) {
         return true;
     }
 
-    throw new Error(
+    throw new TrendsInvalidArgumentError(
         `Inconsistent timeframes detected: ${durations.map(d => d.toISO())}`
     );
 }
@@ -345,7 +346,7 @@ function getResolutionAndRange(timeframe) {
  * Ensures that timeframes can be meaningfully compared and analyzed together.
  * 
  * @param {string|string[]} timeframes - Single timeframe string or array of timeframe strings
- * @throws {Error} If timeframes have different resolutions or if max duration is >= 2x min duration
+ * @throws {TrendsInvalidArgumentError} If timeframes have different resolutions or if max duration is >= 2x min duration
  * 
  * @example
  * // These work:
@@ -369,7 +370,7 @@ function checkTimeframeResolution(timeframes) {
                 `Timeframe: ${timeframe}, Delta: ${durations[i].toISO()}, ` +
                 `Resolution: ${resolutions[i][0]} (based on range: ${resolutions[i][1]})\n`;
         });
-        throw new Error(errorMessage);
+        throw new TrendsInvalidArgumentError(errorMessage);
     }
 
     const [minDuration, minTimeframe] = durations.reduce((min, curr, i) => 
@@ -383,7 +384,7 @@ function checkTimeframeResolution(timeframes) {
     );
 
     if (maxDuration.as('milliseconds') >= minDuration.as('milliseconds') * 2) {
-        throw new Error(
+        throw new TrendsInvalidArgumentError(
             `Error: The maximum delta ${maxDuration.toISO()} (from timeframe ${maxTimeframe}) ` +
             `should be less than twice the minimum delta ${minDuration.toISO()} (from timeframe ${minTimeframe}).`
         );
@@ -1,6 +1,7 @@
 const { DateTime } = require('luxon');
 const { ensureList, truncateString } = require('./utils');
 const { NewsArticle } = require('./news_article');
+const { TrendsInvalidArgumentError } = require('./errors');
 
 /**
  * Represents a trending search term with associated metadata.
@@ -46,7 +47,7 @@ class TrendKeyword {
      * @returns {boolean}
      */
     get isTrendFinished() {
-        return this.endedTimestamp !== null;
+        return Boolean(this.endedTimestamp);
     }
 
     /**
@@ -90,6 +91,63 @@ class TrendKeyword {
     }
 }
 
+/**
+ * Sort keys accepted by sortTrends, mapped to the value sorted on (descending)
+ * @constant {Object.<string, function(TrendKeyword): number>}
+ */
+const TREND_SORT_KEYS = {
+    volume: trend => trend.volume || 0,
+    recency: trend => (trend.startedTimestamp ? trend.startedTimestamp[0] : 0),
+    growth: trend => trend.volumeGrowthPct || 0
+};
+
+/**
+ * Filter a list of trends
+ * @param {TrendKeyword[]} trends - Trends to filter
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'active' or 'finished'
+ * @param {number} [options.minVolume] - Minimum search volume
+ * @param {number|number[]} [options.topics] - Keep trends belonging to any of these topic IDs
+ *     (an empty list keeps every trend)
+ * @returns {TrendKeyword[]}
+ */
+function filterTrends(trends, options = {}) {
+    const { status = null, minVolume = null, topics = null } = options;
+
+    if (status && !['active', 'finished'].includes(status)) {
+        throw new TrendsInvalidArgumentError(`Invalid status: ${status}. Expected 'active' or 'finished'`);
+    }
+
+    const topicList = topics === null ? [] : ensureList(topics);
+    const topicIds = topicList.length ? new Set(topicList.map(Number)) : null;
+
+    return trends.filter(trend => {
+        if (status === 'active' && trend.isTrendFinished) return false;
+        if (status === 'finished' && !trend.isTrendFinished) return false;
+        if (minVolume !== null && (trend.volume || 0) < minVolume) return false;
+        if (topicIds && !(trend.topics || []).some(topic => topicIds.has(Number(topic)))) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Sort a list of trends in descending order, without modifying the input
+ * @param {TrendKeyword[]} trends - Trends to sort
+ * @param {string} sortBy - 'volume', 'recency' or 'growth'
+ * @returns {TrendKeyword[]}
+ */
+function sortTrends(trends, sortBy) {
+    const key = TREND_SORT_KEYS[sortBy];
+    if (!key) {
+        throw new TrendsInvalidArgumentError(
+            `Invalid sort key: ${sortBy}. Expected one of: ${Object.keys(TREND_SORT_KEYS).join(', ')}`
+        );
+    }
+    return [...trends].sort((a, b) => key(b) - key(a));
+}
+
 /**
  * A lightweight version of TrendKeyword for simple trend representation.
  */
@@ -115,9 +173,9 @@ class TrendKeywordLite {
         this.news = news;
 
         if (started) {
-            this.started = this._parsePubDate(started);
-        } else if (news && news.length > 0) {
-            this.started = Math.min(...news.map(item => item.time));
+            this.started = TrendKeywordLite._parsePubDate(started);
+        } else if (news && news.some(item => item.time)) {
+            this.started = Math.min(...news.filter(item => item.time).map(item => item.time));
         }
     }
 
@@ -128,11 +186,8 @@ class TrendKeywordLite {
      * @returns {number} Unix timestamp
      */
     static _parsePubDate(pubDate) {
-        return DateTime.fromFormat(
-            pubDate,
-            'EEE, dd MMM yyyy HH:mm:ss ZZZ',
-            { zone: 'utc' }
-        ).toSeconds();
+        // RFC 2822 dates, whose day of month may have one digit (e.g. "Tue, 8 Oct 2024 07:40:00 -0700")
+        return DateTime.fromRFC2822(pubDate, { zone: 'utc' }).toSeconds();
     }
 
     /**
@@ -195,5 +250,7 @@ class TrendKeywordLite {
 
 module.exports = {
     TrendKeyword,
-    TrendKeywordLite
+    TrendKeywordLite,
+    filterTrends,
+    sortTrends
 }; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const { DateTime } = require('luxon');
+const { TrendsInvalidArgumentError, TrendsAbortError } = require('./errors');
 
 /**
  * Ensure input is a list/array
@@ -9,6 +10,66 @@ function ensureList(item) {
     return Array.isArray(item) ? item : [item];
 }
 
+/**
+ * @constant {RegExp}
+ * Knowledge Graph (Freebase) machine IDs of topics, e.g. '/m/05z1_' or '/g/11bc6c_9m7'
+ */
+const ENTITY_ID_PATTERN = /^\/[mg]\/[0-9a-z_]+$/i;
+
+/**
+ * Check whether a value is an entity MID
+ * @param {*} value Value to check
+ * @returns {boolean}
+ */
+function isEntityId(value) {
+    return typeof value === 'string' && ENTITY_ID_PATTERN.test(value);
+}
+
+/**
+ * Get the value Google Trends expects for a keyword: a search term or MID as is, or the
+ * MID of an entity object ({ mid, title }, as returned by suggestions and relatedTopics)
+ * @param {string|Object} keyword Search term, MID or entity
+ * @returns {string}
+ * @throws {TrendsInvalidArgumentError} If the keyword is neither a string nor an entity with a MID
+ *
+ * @example
+ * keywordValue('python')                                      // returns 'python'
+ * keywordValue({ mid: '/m/05z1_', title: 'Python', type: 'Programming language' }) // returns '/m/05z1_'
+ */
+function keywordValue(keyword) {
+    if (typeof keyword === 'string') return keyword;
+    if (keyword && typeof keyword === 'object' && isEntityId(keyword.mid)) return keyword.mid;
+    throw new TrendsInvalidArgumentError(
+        `Invalid keyword ${JSON.stringify(keyword)}: expected a search term, a MID or an entity with a mid`
+    );
+}
+
+/**
+ * Collect the titles of the entity objects among keywords
+ * @param {Array<string|Object>} keywords Search terms, MIDs or entities
+ * @returns {Map<string, string>} Titles by MID
+ */
+function entityTitles(keywords) {
+    const titles = new Map();
+    keywords.forEach(keyword => {
+        if (keyword && typeof keyword === 'object' && keyword.title && isEntityId(keyword.mid)) {
+            titles.set(keyword.mid, keyword.title);
+        }
+    });
+    return titles;
+}
+
+/**
+ * Truncate a string to a maximum length, appending an ellipsis when cut
+ * @param {string} text Text to truncate
+ * @param {number} maxLength Maximum length of the result, ellipsis included
+ * @returns {string}
+ */
+function truncateString(text, maxLength) {
+    if (!text || text.length <= maxLength) return text;
+    return text.slice(0, Math.max(0, maxLength - 3)) + '...';
+}
+
 /**
  * Decode escaped text from Google Trends response
  * @param {string} text Escaped text to decode
@@ -73,7 +134,7 @@ function convertTimeframe(timeframe) {
 /**
  * Check if timeframes have compatible resolutions
  * @param {string|string[]} timeframes Timeframes to check
- * @throws {Error} If timeframes have incompatible resolutions
+ * @throws {TrendsInvalidArgumentError} If timeframes have incompatible resolutions
  */
 function checkTimeframeResolution(timeframes) {
     const frames = ensureList(timeframes).map(convertTimeframe);
@@ -103,16 +164,166 @@ function checkTimeframeResolution(timeframes) {
     const minRes = Math.min(...resolutions);
     
     if (maxRes !== minRes) {
-        throw new Error(
+        throw new TrendsInvalidArgumentError(
             'All timeframes must have the same resolution. ' +
             `Current resolutions: ${resolutions.join(', ')} minutes`
         );
     }
 }
 
+/**
+ * @constant {string[]}
+ * Resolutions of interest by region
+ */
+const GEO_RESOLUTIONS = ['COUNTRY', 'REGION', 'CITY', 'DMA'];
+
+/**
+ * Get the resolutions available for a geo, the default one first.
+ * DMA (metro areas) only exist in the US.
+ * @param {string} [geo=''] Geo code, e.g. '', 'US' or 'US-CA'
+ * @returns {string[]}
+ *
+ * @example
+ * geoResolutions('')      // returns ['COUNTRY', 'CITY']
+ * geoResolutions('US')    // returns ['REGION', 'CITY', 'DMA']
+ * geoResolutions('GB')    // returns ['REGION', 'CITY']
+ * geoResolutions('US-CA') // returns ['CITY', 'DMA']
+ */
+function geoResolutions(geo = '') {
+    if (!geo) return ['COUNTRY', 'CITY'];
+
+    const parts = geo.toUpperCase().split('-');
+    const dma = parts[0] === 'US' ? ['DMA'] : [];
+    if (parts.length === 1) return ['REGION', 'CITY', ...dma];
+    if (parts.length === 2) return ['CITY', ...dma];
+    return ['CITY'];
+}
+
+/**
+ * Check that a resolution is available for a geo
+ * @param {string} resolution Resolution, case-insensitive
+ * @param {string} [geo=''] Geo code
+ * @returns {string} Upper-cased resolution
+ * @throws {TrendsInvalidArgumentError} If the resolution is unknown or not available for the geo
+ */
+function checkGeoResolution(resolution, geo = '') {
+    const normalized = String(resolution).toUpperCase();
+    if (!GEO_RESOLUTIONS.includes(normalized)) {
+        throw new TrendsInvalidArgumentError(
+            `Invalid resolution: ${resolution}. Use one of ${GEO_RESOLUTIONS.join(', ')}`
+        );
+    }
+    const available = geoResolutions(geo);
+    if (!available.includes(normalized)) {
+        throw new TrendsInvalidArgumentError(
+            `Resolution ${normalized} is not available for geo '${geo}'. ` +
+            `Use one of ${available.join(', ')}`
+        );
+    }
+    return normalized;
+}
+
+/**
+ * Combine a caller's AbortSignal with a timeout. The caller's signal is combined with
+ * AbortSignal.any, which adds no listener to it, so one signal can be shared by any
+ * number of calls.
+ * @param {AbortSignal} [signal] Signal cancelling the call
+ * @param {number} [timeout] Timeout of the call in milliseconds
+ * @returns {{signal: AbortSignal|null, dispose: function(): void}} Signal aborted by either
+ *     (null if neither is set), and a function clearing the timeout once the call has settled
+ */
+function createCallSignal(signal = null, timeout = null) {
+    if (!timeout) return { signal: signal || null, dispose: () => {} };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(
+        new TrendsAbortError(`Timed out after ${timeout} ms`, { timedOut: true })
+    ), timeout);
+    // A pending timeout must not keep the process alive
+    if (timer.unref) timer.unref();
+
+    return {
+        signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+        dispose: () => clearTimeout(timer)
+    };
+}
+
+/**
+ * Run a call with the signal of createCallSignal, clearing its timeout when the call settles
+ * @param {AbortSignal} [signal] Signal cancelling the call
+ * @param {number} [timeout] Timeout of the call in milliseconds
+ * @param {function(AbortSignal|null): Promise<*>} run Call to run with the combined signal
+ * @returns {Promise<*>} Result of the call
+ */
+async function withCallSignal(signal, timeout, run) {
+    const call = createCallSignal(signal, timeout);
+    try {
+        return await run(call.signal);
+    } finally {
+        call.dispose();
+    }
+}
+
+/**
+ * Convert the reason of an aborted signal into a TrendsAbortError
+ * @param {AbortSignal} signal Aborted signal
+ * @returns {TrendsAbortError}
+ */
+function abortError(signal) {
+    const reason = signal && signal.reason;
+    if (reason instanceof TrendsAbortError) return reason;
+    return new TrendsAbortError('The operation was aborted', reason ? { cause: reason } : {});
+}
+
+/**
+ * Throw a TrendsAbortError if the signal is aborted
+ * @param {AbortSignal} [signal] Signal to check
+ * @throws {TrendsAbortError}
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw abortError(signal);
+}
+
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal is aborted
+ * @param {number} ms Time to wait in milliseconds
+ * @param {AbortSignal} [signal] Signal cancelling the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(abortError(signal));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
 module.exports = {
     ensureList,
+    ENTITY_ID_PATTERN,
+    isEntityId,
+    keywordValue,
+    entityTitles,
+    truncateString,
+    createCallSignal,
+    withCallSignal,
+    abortError,
+    throwIfAborted,
+    sleep,
     decodeEscapeText,
     convertTimeframe,
-    checkTimeframeResolution
+    checkTimeframeResolution,
+    GEO_RESOLUTIONS,
+    geoResolutions,
+    checkGeoResolution
 }; 
\ No newline at end of file
@@ -0,0 +1,112 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { TrendsParseError } = require('./errors');
+
+/**
+ * @constant {Object.<string, string>}
+ * Predefined XML entities
+ */
+const XML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+// Largest code point String.fromCodePoint accepts
+const MAX_CODE_POINT = 0x10FFFF;
+
+// Entities are decoded by decodeEntities, so that text and attributes share one set of rules
+const parser = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    cdataPropName: '#cdata',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: false,
+    processEntities: false
+});
+
+/**
+ * Decode XML entities (named, decimal and hexadecimal). Unknown entities are kept as is.
+ * @param {string} text - Text to decode
+ * @returns {string}
+ * @throws {TrendsParseError} If a numeric entity is not a valid code point
+ *
+ * @example
+ * decodeEntities('Fish &amp; Chips &#8211; &#x1F600;') // returns 'Fish & Chips – 😀'
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10);
+            if (code > MAX_CODE_POINT) {
+                throw new TrendsParseError(`Invalid character reference ${entity} in XML`);
+            }
+            return String.fromCodePoint(code);
+        }
+        return Object.prototype.hasOwnProperty.call(XML_ENTITIES, name) ? XML_ENTITIES[name] : entity;
+    });
+}
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name - Tag name, including its namespace prefix (e.g. 'ht:picture')
+ * @property {Object.<string, string>} attributes - Decoded attribute values
+ * @property {XmlElement[]} children - Child elements
+ * @property {string} text - Decoded text and CDATA content directly inside the element
+ */
+
+/**
+ * Convert a node of fast-xml-parser's ordered output into an XmlElement
+ * @private
+ */
+function toElement(node) {
+    const name = Object.keys(node).find(key => key !== ':@');
+    const attributes = {};
+    Object.entries(node[':@'] || {}).forEach(([key, value]) => {
+        attributes[key] = decodeEntities(String(value));
+    });
+
+    const element = { name, attributes, children: [], text: '' };
+    node[name].forEach(child => {
+        if ('#text' in child) {
+            element.text += decodeEntities(String(child['#text']));
+        } else if ('#cdata' in child) {
+            element.text += child['#cdata'].map(part => part['#text']).join('');
+        } else {
+            element.children.push(toElement(child));
+        }
+    });
+    return element;
+}
+
+/**
+ * Parse an XML document into a tree of elements. Declarations, comments and
+ * DOCTYPEs are skipped; CDATA sections are kept verbatim.
+ * @param {string} text - XML document
+ * @returns {XmlElement} Root element
+ * @throws {TrendsParseError} If the document is not well-formed
+ */
+function parseXml(text) {
+    const validation = XMLValidator.validate(text);
+    if (validation !== true) {
+        const { msg, line } = validation.err;
+        throw new TrendsParseError(`Malformed XML at line ${line}: ${msg}`);
+    }
+
+    const roots = parser.parse(text).filter(node => !Object.keys(node).some(key => key.startsWith('?')));
+    if (roots.length !== 1 || '#text' in roots[0]) {
+        throw new TrendsParseError('XML document must have exactly one root element');
+    }
+    return toElement(roots[0]);
+}
+
+module.exports = {
+    XML_ENTITIES,
+    decodeEntities,
+    parseXml
+};
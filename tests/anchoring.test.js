@@ -0,0 +1,75 @@
+const {
+    anchorGroups,
+    mergeAnchoredResults,
+    combineAnchoredResults,
+    strongestKeyword
+} = require('../src/trendspy/anchoring');
+
+describe('Anchoring Tests', () => {
+    describe('anchorGroups', () => {
+        test('splits keywords into groups of four plus the anchor', () => {
+            expect(anchorGroups(['a', 'b', 'c', 'd', 'e', 'f', 'g'], 'c')).toEqual([
+                ['c', 'a', 'b', 'd', 'e'],
+                ['c', 'f', 'g']
+            ]);
+            expect(anchorGroups(['a'], 'a')).toEqual([['a']]);
+        });
+    });
+
+    describe('mergeAnchoredResults', () => {
+        test('rescales every group against the anchor of the first group', () => {
+            const merged = mergeAnchoredResults([
+                { timestamps: [1, 2], values: { a: [50, 50], b: [100, 80] } },
+                { timestamps: [1, 2], values: { a: [25, 25], c: [100, 100] } }
+            ]);
+            expect(merged.timestamps).toEqual([1, 2]);
+            expect(merged.values).toEqual({ a: [25, 25], b: [50, 40], c: [100, 100] });
+            expect(merged.factors).toEqual([0.5, 1]);
+            expect(merged.zeroAnchorGroups).toEqual([]);
+        });
+
+        test('returns null series for groups whose anchor is all zeros', () => {
+            const merged = mergeAnchoredResults([
+                { timestamps: [1, 2], values: { a: [50, 100], b: [10, 20] } },
+                { timestamps: [1, 2], values: { a: [0, 0], c: [100, 90] } }
+            ]);
+            expect(merged.values.c).toEqual([null, null]);
+            expect(merged.values.a).toEqual([50, 100]);
+            expect(merged.zeroAnchorGroups).toEqual([1]);
+        });
+    });
+
+    describe('combineAnchoredResults', () => {
+        const base = mergeAnchoredResults([
+            { timestamps: [1, 2], values: { a: [50, 100], b: [10, 20] } },
+            { timestamps: [1, 2], values: { a: [0, 0], c: [100, 90] } }
+        ]);
+
+        test('ties the groups of a new anchor to the scale through the bridge keyword', () => {
+            const addition = mergeAnchoredResults([
+                { timestamps: [1, 2], values: { c: [100, 90], b: [1, 2] } }
+            ]);
+            const combined = combineAnchoredResults(base, addition, 'b');
+            // b is 10 times larger on the base scale, so c is too, then all is normalized to 100
+            expect(combined.values).toEqual({ a: [5, 10], b: [1, 2], c: [100, 90] });
+            expect(combined.factors).toEqual([0.1, null, 1]);
+            expect(combined.zeroAnchorGroups).toEqual([1]);
+        });
+
+        test('keeps the base values when the bridge carries no scale information', () => {
+            const addition = mergeAnchoredResults([
+                { timestamps: [1, 2], values: { c: [100, 90], b: [0, 0] } }
+            ]);
+            const combined = combineAnchoredResults(base, addition, 'b');
+            expect(combined.values.c).toEqual([null, null]);
+            expect(combined.zeroAnchorGroups).toEqual([1, 2]);
+        });
+    });
+
+    describe('strongestKeyword', () => {
+        test('finds the strongest non-anchor keyword', () => {
+            expect(strongestKeyword({ values: { a: [100], b: [10], c: [30] } })).toBe(2);
+            expect(strongestKeyword({ values: { a: [100], b: [0] } })).toBe(-1);
+        });
+    });
+});
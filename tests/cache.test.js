@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    endpointName,
+    cacheKey,
+    MemoryCache,
+    FileCache
+} = require('../src/trendspy/cache');
+const { Trends } = require('../src/trendspy/client');
+const { TrendsRateLimitError, TrendsQuotaExceededError } = require('../src/trendspy/errors');
+const { MockTrendsServer } = require('./support/mock_server');
+
+describe('Cache Tests', () => {
+    const directories = [];
+    const tempDirectory = () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'trendspy-cache-'));
+        directories.push(directory);
+        return directory;
+    };
+
+    afterAll(() => {
+        directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+    });
+
+    describe('cacheKey', () => {
+        test('ignores parameter order', () => {
+            const url = 'https://trends.google.com/trends/api/widgetdata/multiline';
+            expect(cacheKey('GET', url, { hl: 'en', tz: 360 }))
+                .toBe(cacheKey('get', url, { tz: 360, hl: 'en' }));
+            expect(cacheKey('GET', url, { hl: 'en' })).not.toBe(cacheKey('GET', url, { hl: 'fr' }));
+            expect(cacheKey('POST', url, null, 'f.req=1')).not.toBe(cacheKey('POST', url, null, 'f.req=2'));
+        });
+    });
+
+    describe('endpointName', () => {
+        test('classifies request URLs', () => {
+            expect(endpointName('https://trends.google.com/trends/embed/explore/TIMESERIES')).toBe('embed');
+            expect(endpointName('https://trends.google.com/trends/api/widgetdata/relatedsearches')).toBe('widgetdata');
+            expect(endpointName('https://trends.google.com/_/TrendsUi/data/batchexecute')).toBe('batchexecute');
+            expect(endpointName('https://trends.google.com/trending/rss')).toBe('rss');
+            expect(endpointName('https://example.com/')).toBe('default');
+        });
+    });
+
+    describe.each([
+        ['MemoryCache', () => new MemoryCache()],
+        ['FileCache', () => new FileCache(tempDirectory())]
+    ])('%s', (name, createCache) => {
+        test('stores values until they expire', async () => {
+            const cache = createCache();
+            await cache.set('live', { data: 'x' }, 60);
+            await cache.set('expired', { data: 'y' }, -1);
+            expect(await cache.get('live')).toEqual({ data: 'x' });
+            expect(await cache.get('expired')).toBeUndefined();
+            expect(await cache.get('missing')).toBeUndefined();
+        });
+
+        test('deletes and clears values', async () => {
+            const cache = createCache();
+            await cache.set('a', 1, 60);
+            await cache.set('b', 2, 60);
+            await cache.delete('a');
+            expect(await cache.get('a')).toBeUndefined();
+            await cache.clear();
+            expect(await cache.get('b')).toBeUndefined();
+        });
+    });
+
+    describe('FileCache', () => {
+        test('clears its own entries only', async () => {
+            const directory = tempDirectory();
+            fs.writeFileSync(path.join(directory, 'package.json'), '{}');
+            const cache = new FileCache(directory);
+            await cache.set('a', 1, 60);
+            expect(fs.readdirSync(directory)).toHaveLength(2);
+
+            await cache.clear();
+            expect(fs.readdirSync(directory)).toEqual(['package.json']);
+        });
+    });
+
+    describe('Trends with a cache', () => {
+        const server = new MockTrendsServer();
+        let baseUrl;
+        const hits = endpoint => server.requests.filter(request => request.endpoint === endpoint).length;
+
+        beforeAll(async () => {
+            baseUrl = await server.start();
+        });
+
+        afterEach(() => {
+            server.reset();
+        });
+
+        afterAll(async () => {
+            await server.stop();
+        });
+
+        test('serves repeated requests from the cache', async () => {
+            const trends = new Trends({ baseUrl, requestDelay: 0, maxRetries: 1, cache: true });
+            const first = await trends.suggestions('python');
+            await expect(trends.suggestions('python')).resolves.toEqual(first);
+            expect(hits('autocomplete')).toBe(1);
+
+            const trending = await trends.trendingNow();
+            await expect(trends.trendingNow()).resolves.toEqual(trending);
+            expect(hits('batchexecute')).toBe(1);
+        });
+
+        test('does not cache endpoints whose TTL is 0', async () => {
+            const trends = new Trends({
+                baseUrl,
+                requestDelay: 0,
+                maxRetries: 1,
+                cache: true,
+                cacheTtl: { autocomplete: 0 }
+            });
+            await trends.suggestions('python');
+            await trends.suggestions('python');
+            expect(hits('autocomplete')).toBe(2);
+        });
+
+        test('never caches error and quota responses', async () => {
+            const trends = new Trends({ baseUrl, requestDelay: 0, maxRetries: 1, cache: true });
+            server.setScenario('rateLimit', { times: 1, endpoints: ['autocomplete'] });
+            await expect(trends.suggestions('python')).rejects.toBeInstanceOf(TrendsRateLimitError);
+            await expect(trends.suggestions('python')).resolves.toHaveLength(2);
+            expect(hits('autocomplete')).toBe(2);
+
+            server.setScenario('rateLimit', { times: 1, endpoints: ['batchexecute'] });
+            await expect(trends.trendingNow()).rejects.toBeInstanceOf(TrendsRateLimitError);
+            await expect(trends.trendingNow()).resolves.not.toHaveLength(0);
+            expect(hits('batchexecute')).toBe(2);
+
+            server.setScenario('quotaExceeded', { times: 1, endpoints: ['embed'] });
+            await expect(trends.relatedQueries('python')).rejects.toBeInstanceOf(TrendsQuotaExceededError);
+            await expect(trends.relatedQueries('python')).resolves.toBeDefined();
+            expect(hits('embed')).toBe(2);
+        });
+    });
+});
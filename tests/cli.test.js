@@ -0,0 +1,64 @@
+const { run } = require('../src/cli');
+const { MockTrendsServer } = require('./support/mock_server');
+
+describe('CLI Tests', () => {
+    const server = new MockTrendsServer();
+    let baseUrl;
+
+    beforeAll(async () => {
+        baseUrl = await server.start();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    const cli = async (...argv) => {
+        const output = { stdout: '', stderr: '' };
+        const stream = name => ({ write: text => { output[name] += text; } });
+        const code = await run([...argv, '--base-url', baseUrl, '--delay', '0'], {
+            stdout: stream('stdout'),
+            stderr: stream('stderr')
+        });
+        return { code, ...output };
+    };
+
+    test('prints interest over time as an aligned table', async () => {
+        const { code, stdout } = await cli('iot', 'python', 'java', '-t', '2024-01-01 2024-01-03');
+        expect(code).toBe(0);
+        const lines = stdout.trimEnd().split('\n');
+        expect(lines[0]).toMatch(/^timestamp\s+isPartial\s+python\s+java$/);
+        expect(lines[1]).toMatch(/^-+\s+-+/);
+        expect(lines[2]).toMatch(/^2024-01-01T00:00:00Z\s+false\s+\d+\s+\d+$/);
+        expect(lines).toHaveLength(5);
+    }, 10000);
+
+    test('writes CSV and JSON, in long format with epoch timestamps on request', async () => {
+        const csv = await cli('iot', 'pizza', '-g', 'US', '-g', 'GB', '-t', '2024-01-01 2024-01-02',
+            '--long', '-f', 'csv', '--timestamps', 'epoch');
+        expect(csv.stdout.split('\n').slice(0, 3)).toEqual([
+            'timestamp,isPartial,keyword,value',
+            expect.stringMatching(new RegExp(`^${Date.UTC(2024, 0, 1)},false,pizza \\(US\\),\\d+$`)),
+            expect.stringMatching(/,pizza \(GB\),\d+$/)
+        ]);
+
+        const json = await cli('top-charts', '2023', '-f', 'json');
+        expect(JSON.parse(json.stdout)[0]).toEqual({ chart: 'Searches 2023', rank: 1, title: 'solar eclipse' });
+    });
+
+    test('reports usage errors with exit code 2 and request errors with exit code 1', async () => {
+        expect((await cli('bogus')).code).toBe(2);
+        expect((await cli('related-queries')).stderr).toMatch(/Usage: trendspy related-queries <keyword>/);
+        expect((await cli('iot', 'python', '--format', 'xml')).code).toBe(2);
+        expect((await cli('iot', 'python', '--cat', 'abc')).stderr).toMatch(/--cat must be a number/);
+        const long = await cli('trending-now', '--long');
+        expect(long.code).toBe(2);
+        expect(long.stderr).toMatch(/--long needs keyword columns.*\nRun 'trendspy --help' for usage/);
+
+        server.setScenario('rateLimit');
+        const failed = await cli('suggest', 'python', '--retries', '1');
+        server.reset();
+        expect(failed.code).toBe(1);
+        expect(failed.stderr).toMatch(/^Error: .*rate limited/);
+    });
+});
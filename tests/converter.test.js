@@ -0,0 +1,379 @@
+const TrendsDataConverter = require('../src/trendspy/converter');
+const { TrendKeywordLite } = require('../src/trendspy/trend_keyword');
+const { TrendsInvalidArgumentError } = require('../src/trendspy/errors');
+
+const RSS_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss xmlns:atom="http://www.w3.org/2005/Atom" xmlns:ht="https://trends.google.com/trending/rss" version="2.0">
+<channel>
+<title>Daily Search Trends</title>
+<item>
+<title>Ben &amp; Jerry&#39;s</title>
+<ht:approx_traffic>2,000+</ht:approx_traffic>
+<link>https://trends.google.com/trending/rss?geo=US</link>
+<pubDate>Tue, 8 Oct 2024 07:40:00 -0700</pubDate>
+<ht:picture>https://example.com/picture.jpg</ht:picture>
+<ht:picture_source>Food News</ht:picture_source>
+<ht:news_item>
+<ht:news_item_title><![CDATA[New flavour <i>announced</i>]]></ht:news_item_title>
+<ht:news_item_url>https://example.com/a?x=1&amp;y=2</ht:news_item_url>
+<ht:news_item_picture>https://example.com/a.jpg</ht:news_item_picture>
+<ht:news_item_source>Food News</ht:news_item_source>
+</ht:news_item>
+<ht:news_item>
+<ht:news_item_title>Ice cream sales</ht:news_item_title>
+<ht:news_item_url>https://example.com/b</ht:news_item_url>
+<ht:news_item_source>Business Daily</ht:news_item_source>
+</ht:news_item>
+</item>
+<item>
+<title>no news</title>
+<ht:approx_traffic>500+</ht:approx_traffic>
+<pubDate>Tue, 8 Oct 2024 06:00:00 -0700</pubDate>
+</item>
+</channel>
+</rss>`;
+
+describe('Converter Tests', () => {
+    describe('interestOverTime', () => {
+        const data = {
+            default: {
+                timelineData: [
+                    { time: '1704067200', formattedTime: 'Jan 1, 2024', value: [100, 0], hasData: [true, true], formattedValue: ['100', '<1'] },
+                    { time: '1704153600', formattedTime: 'Jan 2, 2024', value: [80, 0], hasData: [true, false], formattedValue: ['80', '0'] },
+                    { time: '1704240000', formattedTime: 'Jan 3, 2024', value: [12, 3], hasData: [true, true], formattedValue: ['12', '3'], isPartial: true }
+                ],
+                averages: [64, 1]
+            }
+        };
+
+        test('keeps formatted values, data flags, partial flags and averages', () => {
+            const result = TrendsDataConverter.interestOverTime(data, ['python', 'cobol']);
+            expect(result.timestamps).toEqual([1704067200000, 1704153600000, 1704240000000]);
+            expect(result.formattedTime).toEqual(['Jan 1, 2024', 'Jan 2, 2024', 'Jan 3, 2024']);
+            expect(result.isPartial).toEqual([false, false, true]);
+            expect(result.values.python).toEqual([100, 80, 12]);
+            expect(result.formattedValues.cobol).toEqual(['<1', '0', '3']);
+            expect(result.hasData.cobol).toEqual([true, false, true]);
+            expect(result.averages).toEqual({ python: 64, cobol: 1 });
+        });
+
+        test('marks or drops partial points', () => {
+            const marked = TrendsDataConverter.interestOverTime(data, ['python', 'cobol'], { partial: 'mark' });
+            expect(marked.values.python).toEqual([100, 80, null]);
+
+            const dropped = TrendsDataConverter.interestOverTime(data, ['python', 'cobol'], { partial: 'drop' });
+            expect(dropped.timestamps).toHaveLength(2);
+            expect(dropped.isPartial).toEqual([false, false]);
+            expect(dropped.values.cobol).toEqual([0, 0]);
+
+            expect(() => TrendsDataConverter.interestOverTime(data, ['python'], { partial: 'hide' }))
+                .toThrow(TrendsInvalidArgumentError);
+        });
+    });
+
+    describe('multirangeInterestOverTime', () => {
+        const token = {
+            bullets: [{ text: 'launch' }, { text: 'launch' }],
+            request: {
+                comparisonItem: [
+                    { time: '2024-03-01 2024-03-03', geo: { country: 'US' }, complexKeywordsRestriction: { keyword: [{ value: 'launch' }] } },
+                    { time: '2025-03-01 2025-03-03', geo: { country: 'US' }, complexKeywordsRestriction: { keyword: [{ value: 'launch' }] } }
+                ]
+            }
+        };
+        const column = (time, value, extra = {}) => ({ time: String(time), formattedTime: `t${time}`, value, formattedValue: String(value), hasData: true, ...extra });
+        const data = {
+            default: {
+                timelineData: [
+                    { index: 0, columnData: [column(1709251200, 40), column(1740787200, 100)] },
+                    { index: 1, columnData: [column(1709337600, 55), column(1740873600, 80)] },
+                    { index: 2, columnData: [column(1709424000, 60), column(1740960000, 10, { isPartial: true })] }
+                ],
+                averages: [52, 63]
+            }
+        };
+
+        test('labels ranges from the token and aligns them by offset', () => {
+            const bullets = TrendsDataConverter.tokenToBullets(token);
+            expect(bullets[1]).toMatchObject({ keyword: 'launch', timeframe: '2025-03-01 2025-03-03', geo: 'US' });
+
+            const result = TrendsDataConverter.multirangeInterestOverTime(data, bullets);
+            expect(result.labels).toEqual(['launch (2024-03-01 2024-03-03)', 'launch (2025-03-01 2025-03-03)']);
+            expect(result.offsets).toEqual([0, 1, 2]);
+            expect(result.values['launch (2025-03-01 2025-03-03)']).toEqual([100, 80, 10]);
+            expect(result.ranges[0].timestamps).toEqual([1709251200000, 1709337600000, 1709424000000]);
+            expect(result.ranges[1].timestamps[0]).toBe(1740787200000);
+            expect(result.ranges[1].isPartial).toEqual([false, false, true]);
+            expect(result.averages).toEqual({
+                'launch (2024-03-01 2024-03-03)': 52,
+                'launch (2025-03-01 2025-03-03)': 63
+            });
+        });
+
+        test('drops offsets where a range is partial', () => {
+            const bullets = TrendsDataConverter.tokenToBullets(token);
+            const result = TrendsDataConverter.multirangeInterestOverTime(data, bullets, { partial: 'drop' });
+            expect(result.offsets).toEqual([0, 1]);
+            expect(result.values['launch (2024-03-01 2024-03-03)']).toEqual([40, 55]);
+        });
+    });
+
+    describe('comparisonLabels', () => {
+        const bullet = (keyword, timeframe, geo, text = keyword) => ({ text, keyword, timeframe, geo });
+
+        test('qualifies labels only with the parts that vary', () => {
+            expect(TrendsDataConverter.comparisonLabels([
+                bullet('pizza', 'today 12-m', 'US'), bullet('pasta', 'today 12-m', 'US')
+            ])).toEqual(['pizza', 'pasta']);
+            expect(TrendsDataConverter.comparisonLabels([
+                bullet('pizza', 'today 12-m', 'US'), bullet('pizza', 'today 12-m', '')
+            ])).toEqual(['pizza (US)', 'pizza (Worldwide)']);
+            expect(TrendsDataConverter.comparisonLabels([
+                bullet('pizza', 'today 1-m', 'US'), bullet('pizza', 'today 3-m', 'GB')
+            ])).toEqual(['pizza (today 1-m, US)', 'pizza (today 3-m, GB)']);
+        });
+
+        test('uses entity names when asked', () => {
+            expect(TrendsDataConverter.comparisonLabels([
+                bullet('/m/0663v', 'today 12-m', 'US', 'Pizza'), bullet('/m/0663v', 'today 12-m', 'GB', 'Pizza')
+            ], true)).toEqual(['Pizza (US)', 'Pizza (GB)']);
+        });
+
+        test('reads tokens without bullets', () => {
+            const bullets = TrendsDataConverter.tokenToBullets({
+                request: {
+                    time: 'today 12-m',
+                    comparisonItem: [{ geo: { region: 'US-CA' }, complexKeywordsRestriction: { keyword: [{ value: 'pizza' }] } }]
+                }
+            });
+            expect(bullets).toEqual([{
+                text: 'pizza', color: undefined, keyword: 'pizza', mid: null, title: null, timeframe: 'today 12-m', geo: 'US-CA'
+            }]);
+        });
+
+        test('names topics by title and MID', () => {
+            const bullets = TrendsDataConverter.tokenToBullets({
+                bullets: [{ text: 'Python' }, { text: 'python' }, { text: '/g/11bc6c_9m7' }],
+                request: {
+                    time: 'today 12-m',
+                    comparisonItem: ['/m/05z1_', 'python', '/g/11bc6c_9m7'].map(value => ({
+                        geo: {}, complexKeywordsRestriction: { keyword: [{ value }] }
+                    }))
+                }
+            });
+            expect(bullets.map(bullet => [bullet.mid, bullet.title])).toEqual([['/m/05z1_', 'Python'], [null, null], ['/g/11bc6c_9m7', null]]);
+            expect(TrendsDataConverter.comparisonLabels(bullets)).toEqual(['Python [/m/05z1_]', 'python', '/g/11bc6c_9m7']);
+        });
+    });
+
+    describe('geoData', () => {
+        test('returns full region records', () => {
+            const data = {
+                default: {
+                    geoMapData: [
+                        { geoCode: 'US-CA', geoName: 'California', value: [100, 40], formattedValue: ['100', '40'], maxValueIndex: 0, hasData: [true, true] },
+                        { geoCode: 'US-WY', geoName: 'Wyoming', value: [0, 0], formattedValue: ['', ''], maxValueIndex: 0, hasData: [false, false] }
+                    ]
+                }
+            };
+            const result = TrendsDataConverter.geoData(data, [{ text: 'python' }, { text: 'java' }]);
+            expect(result.values).toEqual({ python: [100, 0], java: [40, 0] });
+            expect(result.regions[0]).toEqual({
+                geoCode: 'US-CA',
+                geoName: 'California',
+                coordinates: null,
+                value: { python: 100, java: 40 },
+                formattedValue: { python: '100', java: '40' },
+                hasData: { python: true, java: true },
+                maxValueIndex: 0,
+                maxKeyword: 'python',
+                isLowVolume: false
+            });
+            expect(result.regions[1].isLowVolume).toBe(true);
+        });
+
+        test('keeps city coordinates', () => {
+            const data = {
+                default: {
+                    geoMapData: [{ coordinates: { lat: 34.05, lng: -118.24 }, geoName: 'Los Angeles', value: [100], maxValueIndex: 0 }]
+                }
+            };
+            const [city] = TrendsDataConverter.geoData(data, [{ text: 'python' }]).regions;
+            expect(city).toMatchObject({ geoCode: null, geoName: 'Los Angeles', coordinates: { lat: 34.05, lng: -118.24 } });
+            expect(city.hasData).toEqual({ python: true });
+        });
+    });
+
+    describe('relatedQueries', () => {
+        const data = {
+            default: {
+                rankedList: [
+                    {
+                        rankedKeyword: [{
+                            query: 'python tutorial',
+                            value: 100,
+                            formattedValue: '100',
+                            hasData: true,
+                            link: '/trends/explore?q=python+tutorial&date=today+12-m'
+                        }]
+                    },
+                    {
+                        rankedKeyword: [
+                            { query: 'python 3.12', value: 9750, formattedValue: 'Breakout', link: '/trends/explore?q=python+3.12' },
+                            { query: 'python jobs', value: 1150, formattedValue: '+1,150%', link: '/trends/explore?q=python+jobs' }
+                        ]
+                    }
+                ]
+            }
+        };
+
+        test('keeps formatted values and links and flags breakouts', () => {
+            const result = TrendsDataConverter.relatedQueries(data, { keyword: 'python' });
+            expect(result.top[0]).toEqual({
+                query: 'python tutorial',
+                value: 100,
+                formattedValue: '100',
+                hasData: true,
+                link: 'https://trends.google.com/trends/explore?q=python+tutorial&date=today+12-m',
+                isBreakout: false,
+                percentIncrease: null
+            });
+            expect(result.rising.map(item => [item.query, item.isBreakout, item.percentIncrease])).toEqual([
+                ['python 3.12', true, null],
+                ['python jobs', false, 1150]
+            ]);
+            expect(result.metadata).toEqual({ keyword: 'python' });
+        });
+
+        test('tells missing data apart from empty lists', () => {
+            const empty = TrendsDataConverter.relatedQueries({
+                default: { rankedList: [{ rankedKeyword: [] }, { rankedKeyword: [] }] }
+            });
+            expect(empty).toMatchObject({ top: [], rising: [], hasData: true });
+            expect(TrendsDataConverter.relatedQueries({ default: {} })).toMatchObject({ top: [], rising: [], hasData: false });
+        });
+
+        test('reads the quota status of widget tokens', () => {
+            const token = userType => ({ request: { userConfig: { userType } } });
+            expect(TrendsDataConverter.quotaStatus(token('USER_TYPE_LEGIT_USER'))).toBe('ok');
+            expect(TrendsDataConverter.quotaStatus(token('USER_TYPE_EMBED_OVER_QUOTA'))).toBe('exceeded');
+            expect(TrendsDataConverter.quotaStatus({})).toBe('unknown');
+        });
+    });
+
+    describe('relatedTopics', () => {
+        test('returns topic metadata with values and absolute links', () => {
+            const data = {
+                default: {
+                    rankedList: [
+                        {
+                            rankedKeyword: [{
+                                topic: { mid: '/m/05z1_', title: 'Python', type: 'Programming language' },
+                                value: 100,
+                                formattedValue: '100',
+                                hasData: true,
+                                link: '/trends/explore?q=/m/05z1_&date=today+12-m'
+                            }]
+                        },
+                        {
+                            rankedKeyword: [{
+                                topic: { mid: '/g/11bc5nk5vr', title: 'Python 3.12', type: 'Software' },
+                                value: 4250,
+                                formattedValue: 'Breakout',
+                                link: '/trends/explore?q=/g/11bc5nk5vr&date=today+12-m'
+                            }]
+                        }
+                    ]
+                }
+            };
+
+            const { top, rising } = TrendsDataConverter.relatedTopics(data);
+            expect(top).toEqual([{
+                mid: '/m/05z1_',
+                title: 'Python',
+                type: 'Programming language',
+                value: 100,
+                formattedValue: '100',
+                hasData: true,
+                link: 'https://trends.google.com/trends/explore?q=/m/05z1_&date=today+12-m'
+            }]);
+            expect(rising[0]).toMatchObject({ mid: '/g/11bc5nk5vr', formattedValue: 'Breakout', hasData: true });
+            expect(TrendsDataConverter.relatedTopics({ default: { rankedList: [] } })).toEqual({ top: [], rising: [] });
+        });
+    });
+
+    describe('rssItems', () => {
+        test('extracts ht: fields, entities, CDATA and every news item', () => {
+            const [item, empty] = TrendsDataConverter.rssItems(RSS_FEED);
+            expect(item.title).toBe("Ben & Jerry's");
+            expect(item.approx_traffic).toBe('2,000+');
+            expect(item.picture_source).toBe('Food News');
+            expect(item.news_item).toHaveLength(2);
+            expect(item.news_item[0]).toEqual({
+                news_item_title: 'New flavour <i>announced</i>',
+                news_item_url: 'https://example.com/a?x=1&y=2',
+                news_item_picture: 'https://example.com/a.jpg',
+                news_item_source: 'Food News'
+            });
+            expect(empty.news_item).toEqual([]);
+        });
+
+        test('feeds TrendKeywordLite', () => {
+            const [trend] = TrendsDataConverter.rssItems(RSS_FEED).map(item => TrendKeywordLite.fromApi(item));
+            expect(trend.keyword).toBe("Ben & Jerry's");
+            expect(trend.volume).toBe('2,000+');
+            expect(trend.started).toBe(Date.UTC(2024, 9, 8, 14, 40) / 1000);
+            expect(trend.news.map(article => [article.title, article.source, article.url])).toEqual([
+                ['New flavour <i>announced</i>', 'Food News', 'https://example.com/a?x=1&y=2'],
+                ['Ice cream sales', 'Business Daily', 'https://example.com/b']
+            ]);
+            expect(trend.news[0].picture).toBe('https://example.com/a.jpg');
+        });
+    });
+
+    describe('trendingNowShowcaseTimeline', () => {
+        // 2023-11-14T22:21:40Z
+        const requestTimestamp = 1700000500;
+
+        test('ends on the latest completed interval of the period', () => {
+            const past4h = TrendsDataConverter.trendingNowShowcaseTimeline([['python', [1, 2, 3]]], requestTimestamp, 2);
+            expect(past4h.timestamps).toEqual([1699999200000, 1699999680000, 1700000160000]);
+
+            const past7d = TrendsDataConverter.trendingNowShowcaseTimeline([['python', [1, 2]]], requestTimestamp, 4);
+            expect(past7d.timestamps).toEqual([1699977600000, 1699992000000]);
+
+            const past48h = TrendsDataConverter.trendingNowShowcaseTimeline([['python', [1]]], requestTimestamp, 5);
+            expect(past48h.timestamps).toEqual([1699999680000]);
+        });
+
+        test('guesses the interval from the number of points when the period is unknown', () => {
+            const interval = values => {
+                const { timestamps } = TrendsDataConverter.trendingNowShowcaseTimeline(
+                    [['python', values]],
+                    requestTimestamp
+                );
+                return (timestamps[1] - timestamps[0]) / 1000;
+            };
+            expect(interval(new Array(31).fill(0))).toBe(480);
+            expect(interval(new Array(43).fill(0))).toBe(14400);
+            expect(interval(new Array(91).fill(0))).toBe(960);
+        });
+
+        test('aligns keyword series on their most recent points', () => {
+            const result = TrendsDataConverter.trendingNowShowcaseTimeline(
+                [['python', [5, 10, 20, 40]], ['java', [7, 8]]],
+                requestTimestamp,
+                3
+            );
+            expect(result).toEqual({
+                timestamps: [1699998720000, 1699999680000],
+                values: { python: [20, 40], java: [7, 8] }
+            });
+        });
+
+        test('returns empty series without data', () => {
+            expect(TrendsDataConverter.trendingNowShowcaseTimeline([], requestTimestamp, 3))
+                .toEqual({ timestamps: [], values: {} });
+        });
+    });
+});
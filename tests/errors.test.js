@@ -0,0 +1,49 @@
+const {
+    parseRetryAfter,
+    TrendsError,
+    TrendsRequestError,
+    TrendsRateLimitError,
+    TrendsQuotaExceededError,
+    TrendsInvalidArgumentError
+} = require('../src/trendspy/errors');
+const { convertTimeframe } = require('../src/trendspy/timeframe_utils');
+
+describe('Errors Tests', () => {
+    describe('parseRetryAfter', () => {
+        test('parses seconds and HTTP dates', () => {
+            expect(parseRetryAfter('120')).toBe(120);
+            expect(parseRetryAfter(new Date(Date.now() + 30000).toUTCString())).toBeGreaterThan(25);
+            expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT')).toBe(0);
+            expect(parseRetryAfter(undefined)).toBeNull();
+            expect(parseRetryAfter('soon')).toBeNull();
+        });
+    });
+
+    test('errors carry request details', () => {
+        const error = new TrendsRateLimitError('Failed after 3 retries', {
+            url: 'https://trends.google.com/trends/api/explore',
+            status: 429,
+            retries: 3,
+            response: 'x'.repeat(500),
+            retryAfter: 60
+        });
+        expect(error).toBeInstanceOf(TrendsRequestError);
+        expect(error).toBeInstanceOf(TrendsError);
+        expect(error.name).toBe('TrendsRateLimitError');
+        expect(error.status).toBe(429);
+        expect(error.retries).toBe(3);
+        expect(error.retryAfter).toBe(60);
+        expect(error.responseSnippet).toHaveLength(203);
+    });
+
+    test('quota errors are rate limit errors', () => {
+        const error = new TrendsQuotaExceededError({ status: 200 });
+        expect(error).toBeInstanceOf(TrendsRateLimitError);
+        expect(error.name).toBe('TrendsQuotaExceededError');
+        expect(error.message).toContain('API quota exceeded');
+    });
+
+    test('invalid arguments raise TrendsInvalidArgumentError', () => {
+        expect(() => convertTimeframe('2024-09-12T23 8-d')).toThrow(TrendsInvalidArgumentError);
+    });
+});
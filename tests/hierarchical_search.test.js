@@ -0,0 +1,92 @@
+const {
+    flattenTree,
+    createHierarchicalIndex
+} = require('../src/trendspy/hierarchical_search');
+
+const geoTree = {
+    name: 'Worldwide',
+    children: [
+        {
+            name: 'United States',
+            id: 'US',
+            children: [
+                { name: 'California', id: 'CA' },
+                { name: 'New York', id: 'NY' }
+            ]
+        },
+        {
+            name: 'Germany',
+            id: 'DE',
+            children: [{ name: 'Bavaria', id: 'BY' }]
+        }
+    ]
+};
+
+const duplicateTree = {
+    name: 'Worldwide',
+    children: [
+        { name: 'Georgia', id: 'GE' },
+        { name: 'United States', id: 'US', children: [{ name: 'Georgia', id: 'GA' }] }
+    ]
+};
+
+describe('Hierarchical Search Tests', () => {
+    describe('flattenTree', () => {
+        test('skips root nodes without an ID and joins child IDs', () => {
+            expect(flattenTree(geoTree)).toEqual([
+                { name: 'United States', id: 'US', parentId: null },
+                { name: 'California', id: 'US-CA', parentId: 'US' },
+                { name: 'New York', id: 'US-NY', parentId: 'US' },
+                { name: 'Germany', id: 'DE', parentId: null },
+                { name: 'Bavaria', id: 'DE-BY', parentId: 'DE' }
+            ]);
+        });
+    });
+
+    describe('geo index', () => {
+        const index = createHierarchicalIndex(geoTree, true);
+
+        test('finds locations by name', () => {
+            expect(index.exactSearch('bavaria').map(item => item.id)).toEqual(['DE-BY']);
+            expect(index.exactSearch('atlantis')).toEqual([]);
+            expect(index.partialSearch('cali').map(item => item.id)).toEqual(['US-CA']);
+        });
+
+        test('returns every location sharing a name', () => {
+            const duplicates = createHierarchicalIndex(duplicateTree, true);
+            expect(duplicates.exactSearch('Georgia').map(item => item.id)).toEqual(['GE', 'US-GA']);
+            expect(duplicates.partialSearch('georg').map(item => item.id)).toEqual(['GE', 'US-GA']);
+        });
+
+        test('finds locations by partial ID', () => {
+            expect(index.idSearch('US-').map(item => item.id)).toEqual(['US-CA', 'US-NY']);
+        });
+    });
+
+    describe('category index', () => {
+        const categoryTree = {
+            name: 'All categories',
+            id: 0,
+            children: [
+                {
+                    name: 'Computers & Electronics',
+                    id: 5,
+                    children: [{ name: 'Programming', id: 31 }]
+                },
+                { name: 'Sports', id: 20 }
+            ]
+        };
+        const index = createHierarchicalIndex(categoryTree, false);
+
+        test('matches IDs exactly, whether given as numbers or strings', () => {
+            expect(index.idSearch(31).map(item => item.name)).toEqual(['Programming']);
+            expect(index.idSearch('3')).toEqual([]);
+        });
+
+        test('returns the ancestor path of a category', () => {
+            expect(index.getPath(31).map(item => item.name))
+                .toEqual(['All categories', 'Computers & Electronics', 'Programming']);
+            expect(index.getPath(999)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,29 @@
+const {
+    normalizeLogger,
+    createConsoleLogger
+} = require('../src/trendspy/logger');
+
+describe('Logger Tests', () => {
+    test('fills in missing logger methods', () => {
+        const warn = jest.fn();
+        const logger = normalizeLogger({ warn });
+        logger.debug('ignored', {});
+        logger.warn('kept', { url: 'https://trends.google.com' });
+        expect(warn).toHaveBeenCalledWith('kept', { url: 'https://trends.google.com' });
+        expect(() => normalizeLogger().error('silent', {})).not.toThrow();
+    });
+
+    test('console logger writes levels at or above its minimum to stderr', () => {
+        const write = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        try {
+            const logger = createConsoleLogger('warn');
+            logger.info('hidden');
+            logger.warn('Rate limit hit', { status: 429 });
+            expect(write).toHaveBeenCalledTimes(1);
+            expect(write).toHaveBeenCalledWith('[trendspy] warn: Rate limit hit {"status":429}\n');
+        } finally {
+            write.mockRestore();
+        }
+        expect(() => createConsoleLogger('verbose')).toThrow();
+    });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeRequest, ExchangeRecorder } = require('../src/trendspy/recorder');
+const { TrendsReplayError, TrendsInvalidArgumentError } = require('../src/trendspy/errors');
+const { Trends } = require('../src/trendspy/client');
+const { MockTrendsServer } = require('./support/mock_server');
+
+const WIDGET_URL = 'https://trends.google.com/trends/api/widgetdata/multiline';
+const AUTOCOMPLETE_URL = 'https://trends.google.com/trends/api/autocomplete/python';
+
+const jsonResponse = (status, data) => ({
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8', 'set-cookie': ['NID=secret'] },
+    data
+});
+
+describe('Recorder Tests', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'trendspy-fixtures-'));
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    describe('normalizeRequest', () => {
+        test('ignores parameter and JSON key order', () => {
+            const a = normalizeRequest({
+                method: 'get',
+                url: WIDGET_URL,
+                params: { tz: 360, req: '{"time":"today 12-m","geo":"US"}', hl: 'en' }
+            });
+            const b = normalizeRequest({
+                method: 'GET',
+                url: WIDGET_URL,
+                params: { hl: 'en', req: '{"geo":"US","time":"today 12-m"}', tz: '360' }
+            });
+            expect(a).toEqual(b);
+        });
+
+        test('decodes form-encoded bodies', () => {
+            const body = `f.req=${encodeURIComponent('[[["i0OFE","[null,null,\\"US\\"]",null,"generic"]]]')}`;
+            expect(normalizeRequest({ method: 'POST', url: WIDGET_URL, body }).body)
+                .toEqual([['f.req', '[[["i0OFE","[null,null,\\"US\\"]",null,"generic"]]]']]);
+        });
+    });
+
+    test('replays recorded responses in order, repeating the last one', async () => {
+        const request = { method: 'GET', url: WIDGET_URL, params: { hl: 'en' } };
+        const recorder = new ExchangeRecorder(directory, { mode: 'record' });
+        await recorder.record(request, jsonResponse(429, ''));
+        await recorder.record(request, jsonResponse(200, ')]}\'\n{"default":{}}'));
+
+        const [file] = await fs.promises.readdir(directory);
+        expect(file).toMatch(/^widgetdata-[0-9a-f]{16}\.json$/);
+        const fixture = JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8'));
+        expect(fixture.responses.map(response => response.status)).toEqual([429, 200]);
+        expect(fixture.responses[0].headers['set-cookie']).toBeUndefined();
+
+        const replayer = new ExchangeRecorder(directory);
+        expect((await replayer.replay(request)).status).toBe(429);
+        expect((await replayer.replay(request)).status).toBe(200);
+        const last = await replayer.replay(request);
+        expect(last.status).toBe(200);
+        expect(last.fromReplay).toBe(true);
+    });
+
+    test('throws TrendsReplayError for unrecorded requests', async () => {
+        const recorder = new ExchangeRecorder(directory);
+        await expect(recorder.replay({ method: 'GET', url: WIDGET_URL }))
+            .rejects.toBeInstanceOf(TrendsReplayError);
+        expect(() => new ExchangeRecorder(directory, { mode: 'live' })).toThrow(TrendsInvalidArgumentError);
+    });
+
+    test('Trends serves requests from fixtures in replay mode', async () => {
+        const recorder = new ExchangeRecorder(directory, { mode: 'record' });
+        await recorder.record(
+            { method: 'GET', url: AUTOCOMPLETE_URL, params: { hl: 'en', tz: 360 } },
+            jsonResponse(200, ')]}\'\n{"default":{"topics":[{"mid":"/m/05z1_","title":"Python","type":"Programming language"}]}}')
+        );
+
+        const trends = new Trends({ recorder: { mode: 'replay', directory } });
+        const requests = [];
+        trends.on('request', event => requests.push(event));
+        await expect(trends.suggestions('python')).resolves.toEqual([
+            { mid: '/m/05z1_', title: 'Python', type: 'Programming language' }
+        ]);
+        expect(requests).toHaveLength(1);
+        await expect(trends.suggestions('java')).rejects.toBeInstanceOf(TrendsReplayError);
+    });
+
+    test('replays relative timeframes and showcase timelines recorded earlier', async () => {
+        const server = new MockTrendsServer();
+        const baseUrl = await server.start();
+        try {
+            const recording = new Trends({ baseUrl, requestDelay: 0, recorder: { mode: 'record', directory } });
+            const recorded = await recording.interestOverTime('python', { timeframe: 'now 7-d' });
+            const showcase = await recording.trendingNowShowcaseTimeline('python');
+
+            // Replay a day later: relative timeframes now resolve to other hours
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now + 24 * 3600 * 1000);
+            const replaying = new Trends({ recorder: { mode: 'replay', directory } });
+            await expect(replaying.interestOverTime('python', { timeframe: 'now 7-d' })).resolves.toEqual(recorded);
+            await expect(replaying.trendingNowShowcaseTimeline('python')).resolves.toEqual(showcase);
+        } finally {
+            jest.restoreAllMocks();
+            await server.stop();
+        }
+    });
+});
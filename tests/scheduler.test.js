@@ -0,0 +1,189 @@
+const {
+    TokenBucket,
+    RequestScheduler
+} = require('../src/trendspy/scheduler');
+const { TrendsAbortError } = require('../src/trendspy/errors');
+const { Trends } = require('../src/trendspy/client');
+const { MockTrendsServer } = require('./support/mock_server');
+
+// Resolves after pending promise callbacks have run
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('Scheduler Tests', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('TokenBucket', () => {
+        test('refills at the configured rate up to the burst size', () => {
+            const bucket = new TokenBucket(2, 2);
+            bucket.take();
+            bucket.take();
+            expect(bucket.waitTime()).toBe(500);
+            jest.advanceTimersByTime(500);
+            expect(bucket.waitTime()).toBe(0);
+            jest.advanceTimersByTime(10000);
+            bucket.waitTime();
+            expect(bucket.tokens).toBe(2);
+        });
+
+        test('rejects invalid settings', () => {
+            expect(() => new TokenBucket(0, 1)).toThrow();
+            expect(() => new TokenBucket(1, 0)).toThrow();
+        });
+    });
+
+    describe('RequestScheduler', () => {
+        test('paces tasks at the configured rate', async () => {
+            const scheduler = new RequestScheduler({ rate: 1, burst: 1 });
+            const started = [];
+            const tasks = [1, 2, 3].map(id => scheduler.schedule(async () => started.push(id)));
+
+            await flush();
+            expect(started).toEqual([1]);
+            jest.advanceTimersByTime(1000);
+            await flush();
+            expect(started).toEqual([1, 2]);
+            jest.advanceTimersByTime(1000);
+            await Promise.all(tasks);
+            expect(started).toEqual([1, 2, 3]);
+        });
+
+        test('limits the number of tasks in flight', async () => {
+            const scheduler = new RequestScheduler({ concurrency: 2 });
+            const releases = [];
+            const tasks = [1, 2, 3].map(() => scheduler.schedule(
+                () => new Promise(resolve => releases.push(resolve))
+            ));
+
+            await flush();
+            expect(scheduler.inFlight).toBe(2);
+            expect(scheduler.pending).toBe(1);
+            releases[0]();
+            await flush();
+            expect(scheduler.inFlight).toBe(2);
+            expect(scheduler.pending).toBe(0);
+            releases.slice(1).forEach(release => release());
+            await Promise.all(tasks);
+            expect(scheduler.inFlight).toBe(0);
+        });
+
+        test('runs higher priority endpoints first', async () => {
+            const scheduler = new RequestScheduler({
+                concurrency: 1,
+                endpoints: { widgetdata: { priority: 1 } }
+            });
+            const order = [];
+            let release;
+            const blocker = scheduler.schedule(() => new Promise(resolve => { release = resolve; }));
+            const tasks = [
+                scheduler.schedule(async () => order.push('embed'), { endpoint: 'embed' }),
+                scheduler.schedule(async () => order.push('widgetdata'), { endpoint: 'widgetdata' })
+            ];
+
+            await flush();
+            release();
+            await Promise.all([blocker, ...tasks]);
+            expect(order).toEqual(['widgetdata', 'embed']);
+        });
+
+        test('applies per-endpoint rate limits on top of the global one', async () => {
+            const scheduler = new RequestScheduler({
+                endpoints: { batchexecute: { rate: 0.5, burst: 1 } }
+            });
+            const started = [];
+            scheduler.schedule(async () => started.push('batch 1'), { endpoint: 'batchexecute' });
+            scheduler.schedule(async () => started.push('batch 2'), { endpoint: 'batchexecute' });
+            scheduler.schedule(async () => started.push('widget'), { endpoint: 'widgetdata' });
+
+            await flush();
+            expect(started).toEqual(['batch 1', 'widget']);
+            jest.advanceTimersByTime(2000);
+            await flush();
+            expect(started).toEqual(['batch 1', 'widget', 'batch 2']);
+        });
+
+        test('drops queued tasks when their signal is aborted', async () => {
+            const scheduler = new RequestScheduler({ concurrency: 1 });
+            let release;
+            const blocker = scheduler.schedule(() => new Promise(resolve => { release = resolve; }));
+            const controller = new AbortController();
+            const task = jest.fn();
+            const queued = scheduler.schedule(task, { signal: controller.signal });
+
+            await flush();
+            expect(scheduler.pending).toBe(1);
+            controller.abort();
+            await expect(queued).rejects.toBeInstanceOf(TrendsAbortError);
+            expect(scheduler.pending).toBe(0);
+            release();
+            await blocker;
+            expect(task).not.toHaveBeenCalled();
+            await expect(scheduler.schedule(task, { signal: controller.signal }))
+                .rejects.toBeInstanceOf(TrendsAbortError);
+        });
+
+        test('propagates task errors', async () => {
+            const scheduler = new RequestScheduler();
+            await expect(scheduler.schedule(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+            expect(scheduler.inFlight).toBe(0);
+        });
+    });
+
+    describe('Trends clients', () => {
+        const server = new MockTrendsServer();
+        let baseUrl;
+
+        // Start times of the requests a client sends, in order
+        const requestTimes = clients => {
+            const times = [];
+            clients.forEach(client => client.on('request', () => times.push(Date.now())));
+            return times;
+        };
+        const gaps = times => times.slice(1).map((time, i) => time - times[i]);
+
+        beforeAll(async () => {
+            baseUrl = await server.start();
+        });
+
+        beforeEach(() => {
+            jest.useRealTimers();
+        });
+
+        afterAll(async () => {
+            await server.stop();
+        });
+
+        test('clients sharing a scheduler obey its combined rate', async () => {
+            const scheduler = new RequestScheduler({ rate: 5, burst: 1 });
+            const clients = [
+                new Trends({ baseUrl, scheduler, maxRetries: 1 }),
+                new Trends({ baseUrl, scheduler, maxRetries: 1 })
+            ];
+            const times = requestTimes(clients);
+            await Promise.all(clients.flatMap(client => ['python', 'java', 'rust'].map(keyword =>
+                client.suggestions(keyword)
+            )));
+
+            expect(times).toHaveLength(6);
+            // 5 requests per second between both clients, with a little slack for timer precision
+            gaps(times).forEach(gap => expect(gap).toBeGreaterThanOrEqual(190));
+        });
+
+        test('requestDelay maps to one request per delay, a burst of 1 and 2 in flight', async () => {
+            const trends = new Trends({ baseUrl, requestDelay: 0.25, maxRetries: 1 });
+            expect(trends.scheduler._global.rate).toBe(4);
+            expect(trends.scheduler._global.burst).toBe(1);
+            expect(trends.scheduler.concurrency).toBe(2);
+            expect(new Trends({ requestDelay: 0 }).scheduler._global.rate).toBe(Infinity);
+
+            const times = requestTimes([trends]);
+            await Promise.all(['python', 'java', 'rust'].map(keyword => trends.suggestions(keyword)));
+            gaps(times).forEach(gap => expect(gap).toBeGreaterThanOrEqual(240));
+        });
+    });
+});
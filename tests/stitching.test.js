@@ -0,0 +1,90 @@
+const {
+    splitTimeframe,
+    stitchSeries
+} = require('../src/trendspy/stitching');
+
+describe('Stitching Tests', () => {
+    describe('splitTimeframe', () => {
+        test('keeps short ranges in a single window', () => {
+            expect(splitTimeframe('2023-01-01 2023-03-01')).toEqual(['2023-01-01 2023-03-01']);
+        });
+
+        test('splits long ranges into overlapping daily windows', () => {
+            expect(splitTimeframe('2023-01-01 2024-01-01', { windowSize: 200, overlap: 30 }))
+                .toEqual([
+                    '2023-01-01 2023-07-20',
+                    '2023-06-15 2024-01-01'
+                ]);
+        });
+
+        test('splits long hourly ranges into overlapping 7-day windows', () => {
+            expect(splitTimeframe('2024-01-01T00 2024-01-15T00', { resolution: 'hourly' }))
+                .toEqual([
+                    '2024-01-01T00 2024-01-08T00',
+                    '2024-01-07T00 2024-01-14T00',
+                    '2024-01-08T00 2024-01-15T00'
+                ]);
+        });
+
+        test('rejects invalid window settings', () => {
+            expect(() => splitTimeframe('2024-01-01T00 2024-02-01T00', {
+                resolution: 'hourly',
+                windowSize: 48
+            })).toThrow();
+            expect(() => splitTimeframe('2023-01-01 2024-01-01', { windowSize: 300 })).toThrow();
+            expect(() => splitTimeframe('2023-01-01 2024-01-01', { overlap: 269 })).toThrow();
+            expect(() => splitTimeframe('2023-01-01 2024-01-01', { resolution: 'weekly' })).toThrow();
+        });
+    });
+
+    describe('stitchSeries', () => {
+        test('rescales windows on their overlap and normalizes to 100', () => {
+            const result = stitchSeries([
+                { timestamps: [1, 2, 3, 4], values: { a: [50, 100, 80, 60], b: [10, 20, 20, 20] } },
+                { timestamps: [3, 4, 5], values: { a: [40, 30, 100], b: [10, 10, 20] } }
+            ]);
+            expect(result.timestamps).toEqual([1, 2, 3, 4, 5]);
+            expect(result.values.a).toEqual([25, 50, 40, 30, 100]);
+            expect(result.values.b).toEqual([5, 10, 10, 10, 20]);
+        });
+
+        test('reports rescaling factors per window', () => {
+            const result = stitchSeries([
+                { timestamps: [1, 2, 3], values: { a: [50, 100, 80] } },
+                { timestamps: [3, 4], values: { a: [40, 100] } }
+            ]);
+            expect(result.values.a).toEqual([25, 50, 40, 100]);
+            expect(result.factors).toEqual([0.5, 1]);
+            expect(result.gaps).toEqual([]);
+        });
+
+        test('reports overlaps without data as gaps that start a new chain', () => {
+            const result = stitchSeries([
+                { timestamps: [1, 2, 3], values: { a: [100, 0, 0] } },
+                { timestamps: [2, 3, 4], values: { a: [0, 0, 50] } }
+            ]);
+            expect(result.values.a).toEqual([100, 0, 0, 100]);
+            expect(result.chains).toEqual([0, 0, 0, 1]);
+            expect(result.factors).toEqual([1, 2]);
+            expect(result.gaps).toEqual([{ window: 1, start: 2, end: 3 }]);
+        });
+
+        test('keeps rescaling the windows after a gap onto the new chain', () => {
+            const result = stitchSeries([
+                { timestamps: [1, 2], values: { a: [100, 0] } },
+                { timestamps: [2, 3], values: { a: [0, 40] } },
+                { timestamps: [3, 4], values: { a: [20, 80] } }
+            ]);
+            expect(result.values.a).toEqual([100, 0, 25, 100]);
+            expect(result.chains).toEqual([0, 0, 1, 1]);
+            expect(result.factors).toEqual([1, 0.625, 1.25]);
+            expect(result.gaps).toEqual([{ window: 1, start: 2, end: 2 }]);
+        });
+
+        test('ignores empty windows', () => {
+            expect(stitchSeries([{}, { timestamps: [1], values: { a: [50] } }]))
+                .toEqual({ timestamps: [1], values: { a: [100] }, chains: [0], factors: [null, 2], gaps: [] });
+            expect(stitchSeries([])).toEqual({ timestamps: [], values: {}, chains: [], factors: [], gaps: [] });
+        });
+    });
+});
@@ -0,0 +1,821 @@
+const crypto = require('crypto');
+const http = require('http');
+const { URL, URLSearchParams } = require('url');
+const { DateTime } = require('luxon');
+const { endpointName } = require('../../src/trendspy/cache');
+const { TrendsInvalidArgumentError } = require('../../src/trendspy/errors');
+
+/**
+ * @constant {string[]}
+ * Failure scenarios a MockTrendsServer can emulate
+ * - rateLimit: HTTP 429 responses
+ * - redirect: HTTP 302 redirects to the "sorry" page, which answers 429
+ * - quotaExceeded: embed pages whose widget token is over quota
+ * - malformed: HTTP 200 responses whose payload is not what Google used to send:
+ *   batchexecute results carry an HTML page instead of JSON, other endpoints send HTML
+ */
+const MOCK_SCENARIOS = ['rateLimit', 'redirect', 'quotaExceeded', 'malformed'];
+
+/**
+ * @constant {Array<Object>}
+ * Trends served by the Trending Now, RSS and story endpoints. `startedHoursAgo`
+ * and `endedHoursAgo` are relative to the time of the request.
+ */
+const MOCK_TRENDS = [
+    {
+        keyword: 'solar eclipse',
+        volume: 500000,
+        growth: 1000,
+        startedHoursAgo: 3,
+        endedHoursAgo: null,
+        topics: [14, 18],
+        related: ['eclipse glasses', 'eclipse time'],
+        news: [
+            { title: 'Where to watch the eclipse & when', source: 'Sky News', url: 'https://news.example.com/eclipse' },
+            { title: "Eclipse glasses: what you'll need", source: 'Daily Planet', url: 'https://planet.example.com/glasses' }
+        ]
+    },
+    {
+        keyword: 'champions league',
+        volume: 200000,
+        growth: 500,
+        startedHoursAgo: 10,
+        endedHoursAgo: 2,
+        topics: [17],
+        related: ['champions league draw'],
+        news: [
+            { title: 'Champions League draw results', source: 'Sports Desk', url: 'https://sports.example.com/draw' }
+        ]
+    },
+    {
+        keyword: 'stock market',
+        volume: 50000,
+        growth: 200,
+        startedHoursAgo: 30,
+        endedHoursAgo: null,
+        topics: [3],
+        related: ['dow jones', 's&p 500'],
+        news: []
+    }
+];
+
+// Locations served for each geoMap resolution
+const MOCK_REGIONS = {
+    COUNTRY: [
+        { geoCode: 'US', geoName: 'United States' },
+        { geoCode: 'GB', geoName: 'United Kingdom' },
+        { geoCode: 'IN', geoName: 'India' },
+        { geoCode: 'CA', geoName: 'Canada' }
+    ],
+    REGION: [
+        { geoCode: 'US-CA', geoName: 'California' },
+        { geoCode: 'US-NY', geoName: 'New York' },
+        { geoCode: 'US-TX', geoName: 'Texas' }
+    ],
+    DMA: [
+        { geoCode: '803', geoName: 'Los Angeles CA' },
+        { geoCode: '501', geoName: 'New York NY' }
+    ],
+    CITY: [
+        { geoName: 'Los Angeles', coordinates: { lat: 34.0522342, lng: -118.2436849 } },
+        { geoName: 'New York', coordinates: { lat: 40.7127753, lng: -74.0059728 } }
+    ]
+};
+
+const MOCK_GEO_TREE = {
+    children: [
+        {
+            id: 'US',
+            name: 'United States',
+            children: [
+                { id: 'CA', name: 'California', children: [{ id: '803', name: 'Los Angeles CA' }] },
+                { id: 'NY', name: 'New York', children: [{ id: '501', name: 'New York NY' }] }
+            ]
+        },
+        { id: 'GB', name: 'United Kingdom', children: [{ id: 'ENG', name: 'England' }] }
+    ]
+};
+
+const MOCK_CATEGORY_TREE = {
+    id: 0,
+    name: 'All categories',
+    children: [
+        { id: 5, name: 'Computers & Electronics', children: [{ id: 31, name: 'Programming' }] },
+        { id: 20, name: 'Sports', children: [{ id: 294, name: 'Soccer' }] }
+    ]
+};
+
+// Number of points of the Trending Now timelines per BatchPeriod value
+const SHOWCASE_POINTS = { 2: 31, 3: 91, 5: 181, 4: 43 };
+
+/**
+ * Deterministic pseudo-random integer in [1, 100] for a seed
+ * @private
+ */
+function seededValue(seed) {
+    return crypto.createHash('sha256').update(String(seed)).digest().readUInt16BE(0) % 100 + 1;
+}
+
+/**
+ * Deterministic MID of a mock topic
+ * @private
+ */
+function entityMid(title) {
+    return `/m/${seededValue(title.toLowerCase()).toString(36)}${title.length}`;
+}
+
+/**
+ * Escape JSON the way Google embeds it in `JSON.parse('...')` calls
+ * @private
+ */
+function embedEscape(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\x22')
+        .replace(/'/g, '\\x27');
+}
+
+/**
+ * Escape text for XML
+ * @private
+ */
+function xmlEscape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Get the start, end and step of the points of a timeframe, in UTC
+ * @private
+ */
+function timelineRange(time, now) {
+    const today = now.startOf('day');
+    let start;
+    let end;
+    let hourly = false;
+
+    let match;
+    if (time === 'all') {
+        start = DateTime.fromISO('2004-01-01', { zone: 'utc' });
+        end = today;
+    } else if ((match = time.match(/^today (\d+)-([my])$/))) {
+        end = today;
+        start = end.minus({ [match[2] === 'm' ? 'months' : 'years']: Number(match[1]) });
+    } else if ((match = time.match(/^now (\d+)-([Hd])$/i))) {
+        hourly = true;
+        end = now.startOf('hour');
+        start = end.minus({ [match[2].toLowerCase() === 'h' ? 'hours' : 'days']: Number(match[1]) });
+    } else if ((match = time.match(/^(\d{4}-\d{2}-\d{2}) (\d+)-([my])$/))) {
+        end = DateTime.fromISO(match[1], { zone: 'utc' });
+        start = end.minus({ [match[3] === 'm' ? 'months' : 'years']: Number(match[2]) });
+    } else {
+        const [first, second] = time.split(' ');
+        hourly = first.includes('T');
+        start = DateTime.fromISO(first, { zone: 'utc' });
+        end = DateTime.fromISO(second, { zone: 'utc' });
+    }
+
+    const days = end.diff(start, 'days').days;
+    let step;
+    if (hourly) {
+        step = { hours: 1 };
+    } else if (days <= 269) {
+        step = { days: 1 };
+    } else if (days <= 1890) {
+        step = { weeks: 1 };
+    } else {
+        step = { months: 1 };
+    }
+    return { start, end, step };
+}
+
+/**
+ * Format the label of a timeline point like Google does
+ * @private
+ */
+function formatTime(time, step) {
+    if (step.hours) return time.toFormat("MMM d, yyyy 'at' h:mm a");
+    if (step.weeks) return `${time.toFormat('MMM d, yyyy')} – ${time.plus({ days: 6 }).toFormat('MMM d, yyyy')}`;
+    if (step.months) return time.toFormat('MMM yyyy');
+    return time.toFormat('MMM d, yyyy');
+}
+
+/**
+ * Get the keyword of a comparison item
+ * @private
+ */
+function itemKeyword(item) {
+    return item.complexKeywordsRestriction.keyword[0].value;
+}
+
+/**
+ * Get the seed of the generated values of a comparison item, so that the same
+ * keyword gets different values in different geos
+ * @private
+ */
+function itemSeed(item) {
+    const geo = item.geo.region || item.geo.country;
+    return geo ? `${itemKeyword(item)}|${geo}` : itemKeyword(item);
+}
+
+/**
+ * Build the geo restriction of a comparison item from a geo code
+ * @private
+ */
+function geoRestriction(geo) {
+    if (!geo) return {};
+    return geo.includes('-') ? { region: geo } : { country: geo };
+}
+
+/**
+ * Local HTTP stand-in for Google Trends, for integration tests. It emulates the
+ * embed pages and their `JSON.parse('...')` widget tokens, the `)]}'`-prefixed widget
+ * data, pickers and autocomplete responses, batchexecute envelopes and the RSS feed,
+ * with deterministic data. Point a client at it with the `baseUrl` option.
+ *
+ * @example
+ * const server = new MockTrendsServer();
+ * const baseUrl = await server.start();
+ * const trends = new Trends({ baseUrl, requestDelay: 0 });
+ * server.setScenario('rateLimit', { times: 1 });
+ * // ...
+ * await server.stop();
+ */
+class MockTrendsServer {
+    /**
+     * @param {Object} [options]
+     * @param {Object.<string, number>} [options.popularity={}] Search interest multiplier per keyword
+     *     (1 by default), e.g. to make a keyword round to zero next to a much more popular one
+     */
+    constructor(options = {}) {
+        const { popularity = {} } = options;
+        this.popularity = popularity;
+        /** Requests received, as { method, path, endpoint, params, body } */
+        this.requests = [];
+        this._scenario = null;
+        // Titles of the topics served so far by MID, used to name topic keywords in bullets
+        this._entities = new Map();
+        this._server = http.createServer((req, res) => this._handle(req, res));
+        this.baseUrl = null;
+    }
+
+    /**
+     * Start listening
+     * @param {number} [port=0] Port to listen on (0 for a free port)
+     * @param {string} [host='127.0.0.1'] Interface to listen on
+     * @returns {Promise<string>} Base URL of the server
+     */
+    start(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(port, host, () => {
+                this.baseUrl = `http://${host}:${this._server.address().port}`;
+                resolve(this.baseUrl);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and close open connections
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            this._server.close(() => resolve());
+            this._server.closeAllConnections();
+        });
+    }
+
+    /**
+     * Make the following requests fail
+     * @param {string} name One of MOCK_SCENARIOS
+     * @param {Object} [options]
+     * @param {number} [options.times=Infinity] Number of requests affected
+     * @param {string[]} [options.endpoints] Endpoint names affected (see endpointName), all by default.
+     *     Session pages are never affected
+     * @param {number} [options.retryAfter] Retry-After header of rate-limited responses, in seconds
+     * @throws {TrendsInvalidArgumentError} If the scenario is unknown
+     */
+    setScenario(name, options = {}) {
+        if (!MOCK_SCENARIOS.includes(name)) {
+            throw new TrendsInvalidArgumentError(
+                `Invalid scenario: ${name}. Use one of ${MOCK_SCENARIOS.join(', ')}`
+            );
+        }
+        const { times = Infinity, endpoints = null, retryAfter = null } = options;
+        this._scenario = { name, remaining: times, endpoints, retryAfter };
+    }
+
+    /**
+     * Go back to serving every request successfully and forget received requests
+     */
+    reset() {
+        this._scenario = null;
+        this.requests = [];
+    }
+
+    /**
+     * Consume the active scenario for a request, if it applies
+     * @private
+     */
+    _takeScenario(endpoint, names) {
+        const scenario = this._scenario;
+        if (!scenario || !names.includes(scenario.name) || scenario.remaining <= 0) {
+            return null;
+        }
+        if (scenario.endpoints && !scenario.endpoints.includes(endpoint)) {
+            return null;
+        }
+        scenario.remaining--;
+        return scenario;
+    }
+
+    /**
+     * Route a request
+     * @private
+     */
+    _handle(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const params = Object.fromEntries(url.searchParams.entries());
+            const body = Buffer.concat(chunks).toString('utf8');
+            const endpoint = endpointName(url.pathname);
+            this.requests.push({ method: req.method, path: url.pathname, endpoint, params, body });
+
+            const send = (status, contentType, content, headers = {}) => {
+                res.writeHead(status, { 'content-type': contentType, ...headers });
+                res.end(content);
+            };
+            const sendProtected = data => send(200, 'application/json; charset=utf-8', `)]}'\n${JSON.stringify(data)}`);
+
+            try {
+                if (['/', '/trends/explore'].includes(url.pathname)) {
+                    send(200, 'text/html; charset=utf-8', '<html><body>Google Trends</body></html>', {
+                        'set-cookie': 'NID=mock-session; Path=/; HttpOnly'
+                    });
+                    return;
+                }
+                if (url.pathname === '/sorry/index') {
+                    send(429, 'text/html; charset=utf-8', '<html><body>Our systems have detected unusual traffic</body></html>');
+                    return;
+                }
+
+                const failure = this._takeScenario(endpoint, ['rateLimit', 'redirect']);
+                if (failure && failure.name === 'rateLimit') {
+                    const headers = failure.retryAfter !== null ? { 'retry-after': String(failure.retryAfter) } : {};
+                    send(429, 'text/html; charset=utf-8', '<html><body>Too Many Requests</body></html>', headers);
+                    return;
+                }
+                if (failure && failure.name === 'redirect') {
+                    send(302, 'text/html; charset=utf-8', '', {
+                        location: `/sorry/index?continue=${encodeURIComponent(req.url)}`
+                    });
+                    return;
+                }
+
+                if (this._takeScenario(endpoint, ['malformed'])) {
+                    const page = '<!DOCTYPE html><html><body>Something changed</body></html>';
+                    if (endpoint === 'batchexecute') {
+                        const calls = JSON.parse(new URLSearchParams(body).get('f.req'))[0];
+                        sendProtected(calls.map(([rpcId, , , tag]) => ['wrb.fr', rpcId, page, null, null, null, tag]));
+                    } else {
+                        send(200, 'application/json; charset=utf-8', page);
+                    }
+                    return;
+                }
+
+                const now = DateTime.utc();
+                let match;
+                if ((match = url.pathname.match(/^\/trends\/embed\/explore\/(\w+)$/))) {
+                    const overQuota = Boolean(this._takeScenario(endpoint, ['quotaExceeded']));
+                    const widget = this._widget(match[1], JSON.parse(params.req), params, overQuota);
+                    send(200, 'text/html; charset=utf-8',
+                        `<html><body><script type="text/javascript">` +
+                        `trends.embed.renderWidget(JSON.parse('${embedEscape(JSON.stringify(widget))}'));` +
+                        `</script></body></html>`);
+                } else if ((match = url.pathname.match(/^\/trends\/api\/widgetdata\/(\w+)$/))) {
+                    sendProtected(this._widgetData(match[1], JSON.parse(params.req), now));
+                } else if ((match = url.pathname.match(/^\/trends\/api\/autocomplete\/(.+)$/))) {
+                    sendProtected(this._autocomplete(decodeURIComponent(match[1])));
+                } else if (url.pathname === '/trends/api/explore/pickers/geo') {
+                    sendProtected(MOCK_GEO_TREE);
+                } else if (url.pathname === '/trends/api/explore/pickers/category') {
+                    sendProtected(MOCK_CATEGORY_TREE);
+                } else if (url.pathname === '/trends/api/topcharts') {
+                    sendProtected({
+                        topCharts: [{
+                            title: `Searches ${params.date}`,
+                            listItems: MOCK_TRENDS.map(trend => ({ title: trend.keyword }))
+                        }]
+                    });
+                } else if (url.pathname === '/trends/api/realtimetrends') {
+                    sendProtected(this._stories(now));
+                } else if (url.pathname === '/trends/hottrends/visualize/internal/data') {
+                    send(200, 'application/json; charset=utf-8', JSON.stringify({
+                        united_states: MOCK_TRENDS.map(trend => trend.keyword)
+                    }));
+                } else if (url.pathname === '/_/TrendsUi/data/batchexecute' && req.method === 'POST') {
+                    const calls = JSON.parse(new URLSearchParams(body).get('f.req'))[0];
+                    sendProtected(this._batch(calls, now));
+                } else if (['/trending/rss', '/trends/trendingsearches/daily/rss'].includes(url.pathname)) {
+                    send(200, 'application/rss+xml; charset=utf-8', this._rss(params.geo || 'US', now));
+                } else {
+                    send(404, 'text/html; charset=utf-8', '<html><body>Not Found</body></html>');
+                }
+            } catch (error) {
+                send(400, 'text/html; charset=utf-8', `<html><body>Bad Request: ${xmlEscape(error.message)}</body></html>`);
+            }
+        });
+    }
+
+    /**
+     * Build the widget token embedded in an explore page
+     * @private
+     */
+    _widget(type, request, params, overQuota) {
+        const items = request.comparisonItem.map(item => ({
+            geo: geoRestriction(item.geo),
+            time: item.time,
+            complexKeywordsRestriction: { keyword: [{ type: 'BROAD', value: item.keyword }] }
+        }));
+        const requestOptions = { property: request.property || '', backend: 'IZG', category: request.category || 0 };
+        const userConfig = { userType: overQuota ? 'USER_TYPE_EMBED_OVER_QUOTA' : 'USER_TYPE_LEGIT_USER' };
+        const bullets = items.map(item => ({ text: this._entities.get(itemKeyword(item)) || itemKeyword(item) }));
+        const token = crypto.createHash('sha256').update(params.req).digest('base64').slice(0, 32);
+
+        if (type === 'TIMESERIES') {
+            const times = new Set(items.map(item => item.time));
+            if (times.size > 1) {
+                return {
+                    token,
+                    type: 'fe_multi_range_chart',
+                    bullets,
+                    request: {
+                        dataResolution: 'WEEK',
+                        locale: params.hl,
+                        comparisonItem: items,
+                        requestOptions,
+                        userConfig
+                    }
+                };
+            }
+            return {
+                token,
+                type: 'fe_line_chart',
+                bullets,
+                request: {
+                    time: items[0].time,
+                    resolution: 'WEEK',
+                    locale: params.hl,
+                    comparisonItem: items.map(({ geo, complexKeywordsRestriction }) => ({ geo, complexKeywordsRestriction })),
+                    requestOptions,
+                    userConfig
+                }
+            };
+        }
+
+        if (type === 'GEO_MAP') {
+            return {
+                token,
+                type: items.length > 1 ? 'fe_multi_heat_map' : 'fe_geo_chart_explore',
+                bullets,
+                request: {
+                    geo: items[0].geo,
+                    comparisonItem: items,
+                    resolution: items[0].geo.country ? 'REGION' : 'COUNTRY',
+                    locale: params.hl,
+                    requestOptions,
+                    userConfig
+                }
+            };
+        }
+
+        if (type === 'RELATED_QUERIES' || type === 'RELATED_TOPICS') {
+            return {
+                token,
+                type: 'fe_related_searches',
+                request: {
+                    restriction: {
+                        geo: items[0].geo,
+                        time: items[0].time,
+                        complexKeywordsRestriction: items[0].complexKeywordsRestriction
+                    },
+                    keywordType: type === 'RELATED_TOPICS' ? 'ENTITY' : 'QUERY',
+                    metric: ['TOP', 'RISING'],
+                    language: params.hl,
+                    requestOptions,
+                    userConfig
+                }
+            };
+        }
+
+        throw new Error(`Unknown widget ${type}`);
+    }
+
+    /**
+     * Build the data behind a widget token
+     * @private
+     */
+    _widgetData(kind, request, now) {
+        if (kind === 'multiline') {
+            const keywords = request.comparisonItem.map(itemSeed);
+            const points = this._timeline(keywords, request.time, now);
+            const averages = keywords.map((_, i) =>
+                Math.round(points.reduce((sum, point) => sum + point.value[i], 0) / (points.length || 1)));
+            return { default: { timelineData: points, averages: keywords.length > 1 ? averages : [] } };
+        }
+
+        if (kind === 'multirange') {
+            const series = request.comparisonItem.map(item => this._timeline([itemSeed(item)], item.time, now));
+            const length = Math.min(...series.map(points => points.length));
+            const timelineData = Array.from({ length }, (_, index) => ({
+                index,
+                columnData: series.map(points => {
+                    const { time, formattedTime, formattedAxisTime, value, formattedValue, hasData, isPartial } = points[index];
+                    return {
+                        time,
+                        formattedTime,
+                        formattedAxisTime,
+                        value: value[0],
+                        formattedValue: formattedValue[0],
+                        hasData: hasData[0],
+                        ...(isPartial ? { isPartial } : {})
+                    };
+                })
+            }));
+            return { default: { timelineData, averages: series.map(() => 0) } };
+        }
+
+        if (kind === 'comparedgeo') {
+            const keywords = request.comparisonItem.map(itemKeyword);
+            const regions = MOCK_REGIONS[request.resolution] || MOCK_REGIONS.COUNTRY;
+            const geoMapData = regions.map(region => {
+                const value = keywords.map(keyword => seededValue(`${keyword}|${region.geoName}`));
+                return {
+                    ...region,
+                    value,
+                    formattedValue: value.map(String),
+                    maxValueIndex: value.indexOf(Math.max(...value)),
+                    hasData: value.map(() => true)
+                };
+            });
+            if (request.includeLowSearchVolumeGeos) {
+                geoMapData.push({
+                    ...(request.resolution === 'CITY'
+                        ? { geoName: 'Smallville', coordinates: { lat: 38.0, lng: -97.0 } }
+                        : { geoCode: 'ZZ', geoName: 'Low Volume Land' }),
+                    value: keywords.map(() => 0),
+                    formattedValue: keywords.map(() => ''),
+                    maxValueIndex: 0,
+                    hasData: keywords.map(() => false)
+                });
+            }
+            return { default: { geoMapData } };
+        }
+
+        if (kind === 'relatedsearches') {
+            const keyword = itemKeyword(request.restriction);
+            const time = request.restriction.time;
+            const link = query => `/trends/explore?q=${encodeURIComponent(query)}&date=${encodeURIComponent(time)}`;
+            if (request.keywordType === 'ENTITY') {
+                const topic = (title, type) => this._entity(title, type);
+                return {
+                    default: {
+                        rankedList: [
+                            {
+                                rankedKeyword: [
+                                    { topic: topic(keyword, 'Topic'), value: 100, formattedValue: '100', hasData: true, link: link(keyword) },
+                                    { topic: topic(`${keyword} software`, 'Software'), value: 42, formattedValue: '42', hasData: true, link: link(`${keyword} software`) }
+                                ]
+                            },
+                            {
+                                rankedKeyword: [
+                                    { topic: topic(`${keyword} 3`, 'Release'), value: 4250, formattedValue: 'Breakout', link: link(`${keyword} 3`) },
+                                    { topic: topic(`${keyword} news`, 'Topic'), value: 130, formattedValue: '+130%', link: link(`${keyword} news`) }
+                                ]
+                            }
+                        ]
+                    }
+                };
+            }
+            return {
+                default: {
+                    rankedList: [
+                        {
+                            rankedKeyword: [
+                                { query: `${keyword} tutorial`, value: 100, formattedValue: '100', hasData: true, link: link(`${keyword} tutorial`) },
+                                { query: `learn ${keyword}`, value: 57, formattedValue: '57', hasData: true, link: link(`learn ${keyword}`) },
+                                { query: `${keyword} download`, value: 23, formattedValue: '23', hasData: true, link: link(`${keyword} download`) }
+                            ]
+                        },
+                        {
+                            rankedKeyword: [
+                                { query: `${keyword} 2026`, value: 3550, formattedValue: 'Breakout', link: link(`${keyword} 2026`) },
+                                { query: `${keyword} jobs`, value: 250, formattedValue: '+250%', link: link(`${keyword} jobs`) }
+                            ]
+                        }
+                    ]
+                }
+            };
+        }
+
+        throw new Error(`Unknown widget data ${kind}`);
+    }
+
+    /**
+     * Build timeline points of keywords over a timeframe, scaled to a maximum of 100
+     * @private
+     */
+    _timeline(keywords, time, now) {
+        const { start, end, step } = timelineRange(time, now);
+        const times = [];
+        for (let t = start; t <= end; t = t.plus(step)) {
+            times.push(t);
+        }
+
+        // Keywords are value seeds (see itemSeed), starting with the keyword itself
+        const multipliers = keywords.map(keyword => this.popularity[keyword.split('|')[0]] || 1);
+        const raw = times.map(t => keywords.map((keyword, i) =>
+            seededValue(`${keyword}|${t.toSeconds()}`) * multipliers[i]));
+        const max = Math.max(1, ...raw.flat());
+        return times.map((t, index) => {
+            const value = raw[index].map(v => Math.round(v * 100 / max));
+            return {
+                time: String(t.toSeconds()),
+                formattedTime: formatTime(t, step),
+                formattedAxisTime: t.toFormat('MMM d, yyyy'),
+                value,
+                hasData: value.map(v => v > 0),
+                formattedValue: value.map(String),
+                ...(t.plus(step) > now ? { isPartial: true } : {})
+            };
+        });
+    }
+
+    /**
+     * Build a topic and remember its title
+     * @private
+     */
+    _entity(title, type) {
+        const mid = entityMid(title);
+        this._entities.set(mid, title);
+        return { mid, title, type };
+    }
+
+    /**
+     * Build autocomplete suggestions
+     * @private
+     */
+    _autocomplete(keyword) {
+        const title = keyword.charAt(0).toUpperCase() + keyword.slice(1);
+        return {
+            default: {
+                topics: [
+                    this._entity(title, 'Topic'),
+                    this._entity(`${title} language`, 'Search term')
+                ]
+            }
+        };
+    }
+
+    /**
+     * Build the realtime trending stories
+     * @private
+     */
+    _stories(now) {
+        return {
+            storySummaries: {
+                trendingStories: MOCK_TRENDS.map(trend => ({
+                    title: trend.keyword,
+                    entityNames: [trend.keyword, ...trend.related],
+                    articles: trend.news.map(article => ({
+                        articleTitle: article.title,
+                        url: article.url,
+                        source: article.source,
+                        time: now.minus({ hours: trend.startedHoursAgo }).toISO()
+                    }))
+                }))
+            }
+        };
+    }
+
+    /**
+     * Answer a batchexecute request, one "wrb.fr" entry per RPC call
+     * @private
+     */
+    _batch(calls, now) {
+        const entries = calls.map(([rpcId, payload, , tag]) => {
+            const args = JSON.parse(payload);
+            let result;
+            if (rpcId === 'i0OFE') {
+                const [, , geo, numNews, , hours] = args;
+                result = [null, MOCK_TRENDS
+                    .filter(trend => trend.startedHoursAgo <= hours)
+                    .map((trend, i) => this._trendItem(trend, geo, numNews, i, now))];
+            } else if (rpcId === 'jpdkv') {
+                const [geo, keyword, period] = args[2];
+                const count = SHOWCASE_POINTS[period] || SHOWCASE_POINTS[3];
+                result = [Array.from({ length: count }, (_, i) => seededValue(`${geo}|${keyword}|${period}|${i}`))];
+            } else if (rpcId === 'w4opAf') {
+                const [newsIds, maxNews] = args;
+                result = [MOCK_TRENDS
+                    .filter((_, i) => newsIds.includes(`news-${i}`))
+                    .flatMap(trend => trend.news.map(article => this._newsItem(article, trend, now)))
+                    .slice(0, maxNews)];
+            } else {
+                return ['er', rpcId, null, null, null, [3], tag];
+            }
+            return ['wrb.fr', rpcId, JSON.stringify(result), null, null, null, tag];
+        });
+        return [...entries, ['di', 42], ['af.httprm', 42, '-1', 7]];
+    }
+
+    /**
+     * Encode a trend the way the Trending Now RPC does
+     * @private
+     */
+    _trendItem(trend, geo, numNews, index, now) {
+        return [
+            trend.keyword,
+            trend.news.slice(0, numNews).map(article => this._newsItem(article, trend, now)),
+            geo,
+            [Math.floor(now.minus({ hours: trend.startedHoursAgo }).toSeconds())],
+            trend.endedHoursAgo === null ? null : [Math.floor(now.minus({ hours: trend.endedHoursAgo }).toSeconds())],
+            null,
+            trend.volume,
+            null,
+            trend.growth,
+            [trend.keyword, ...trend.related],
+            trend.topics,
+            [`news-${index}`],
+            trend.keyword
+        ];
+    }
+
+    /**
+     * Encode a news article as [title, url, source, [seconds], image]
+     * @private
+     */
+    _newsItem(article, trend, now) {
+        return [
+            article.title,
+            article.url,
+            article.source,
+            [Math.floor(now.minus({ hours: trend.startedHoursAgo }).toSeconds())],
+            `${article.url}.jpg`
+        ];
+    }
+
+    /**
+     * Build the trending searches RSS feed
+     * @private
+     */
+    _rss(geo, now) {
+        const feedUrl = `https://trends.google.com/trending/rss?geo=${encodeURIComponent(geo)}`;
+        const items = MOCK_TRENDS.map(trend => {
+            const news = trend.news.map(article => [
+                '<ht:news_item>',
+                `<ht:news_item_title>${xmlEscape(article.title)}</ht:news_item_title>`,
+                `<ht:news_item_snippet><![CDATA[${article.title} <b>live</b>]]></ht:news_item_snippet>`,
+                `<ht:news_item_url>${xmlEscape(article.url)}</ht:news_item_url>`,
+                `<ht:news_item_picture>${xmlEscape(article.url)}.jpg</ht:news_item_picture>`,
+                `<ht:news_item_source>${xmlEscape(article.source)}</ht:news_item_source>`,
+                '</ht:news_item>'
+            ].join('\n'));
+            return [
+                '<item>',
+                `<title>${xmlEscape(trend.keyword)}</title>`,
+                `<ht:approx_traffic>${trend.volume.toLocaleString('en-US')}+</ht:approx_traffic>`,
+                `<link>${xmlEscape(feedUrl)}</link>`,
+                `<pubDate>${now.minus({ hours: trend.startedHoursAgo }).toFormat('EEE, dd MMM yyyy HH:mm:ss ZZZ')}</pubDate>`,
+                `<ht:picture>${xmlEscape(`https://images.example.com/${encodeURIComponent(trend.keyword)}.jpg`)}</ht:picture>`,
+                '<ht:picture_source>Images &amp; Co</ht:picture_source>',
+                ...news,
+                '</item>'
+            ].join('\n');
+        });
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<rss xmlns:atom="http://www.w3.org/2005/Atom" xmlns:ht="https://trends.google.com/trending/rss" version="2.0">',
+            '<channel>',
+            '<title>Daily Search Trends</title>',
+            '<description>Recent searches</description>',
+            `<link>${xmlEscape(feedUrl)}</link>`,
+            `<atom:link href="${xmlEscape(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+            ...items,
+            '</channel>',
+            '</rss>'
+        ].join('\n');
+    }
+}
+
+module.exports = {
+    MOCK_SCENARIOS,
+    MOCK_TRENDS,
+    MockTrendsServer
+};
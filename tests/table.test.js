@@ -0,0 +1,80 @@
+const { TrendsTable } = require('../src/trendspy/table');
+const { TrendsInvalidArgumentError } = require('../src/trendspy/errors');
+
+describe('TrendsTable Tests', () => {
+    const timeseries = {
+        timestamps: [Date.UTC(2024, 2, 10), Date.UTC(2024, 2, 11)],
+        isPartial: [false, true],
+        values: { python: [45, 62], 'Java, the language': [30, null] }
+    };
+
+    test('builds a wide table from interest over time and writes CSV', () => {
+        const table = TrendsTable.from(timeseries);
+        expect(table.columns).toEqual(['timestamp', 'isPartial', 'python', 'Java, the language']);
+        expect(table.length).toBe(2);
+        expect(table.toCSV()).toBe(
+            'timestamp,isPartial,python,"Java, the language"\n' +
+            '2024-03-10T00:00:00Z,false,45,30\n' +
+            '2024-03-11T00:00:00Z,true,62,\n'
+        );
+        expect(table.toCSV({ timestamps: 'epoch', delimiter: ';', header: false }).split('\n')[0])
+            .toBe(`${Date.UTC(2024, 2, 10)};false;45;30`);
+    });
+
+    test('iterates over rows and writes records and JSON Lines', () => {
+        const table = TrendsTable.from(timeseries);
+        expect(Array.from(table)[1]).toEqual({ timestamp: Date.UTC(2024, 2, 11), isPartial: true, python: 62, 'Java, the language': null });
+        expect(table.toRecords()[0].timestamp).toBe('2024-03-10T00:00:00Z');
+        expect(table.toJSONL({ timestamps: 'epoch' }).split('\n')[0])
+            .toBe(`{"timestamp":${Date.UTC(2024, 2, 10)},"isPartial":false,"python":45,"Java, the language":30}`);
+        expect(() => table.toRecords({ timestamps: 'unix' })).toThrow(TrendsInvalidArgumentError);
+    });
+
+    test('reshapes between wide and long formats', () => {
+        const wide = TrendsTable.from(timeseries);
+        const long = wide.toLong();
+        expect(long.columns).toEqual(['timestamp', 'isPartial', 'keyword', 'value']);
+        expect(long.column('keyword')).toEqual(['python', 'Java, the language', 'python', 'Java, the language']);
+        expect(long.column('value')).toEqual([45, 30, 62, null]);
+
+        const back = long.toWide();
+        expect(back.columns).toEqual(wide.columns);
+        expect(back.rows).toEqual(wide.rows);
+        expect(() => long.toLong()).toThrow(TrendsInvalidArgumentError);
+    });
+
+    test('aligns compared timeframes on offsets', () => {
+        const table = TrendsTable.from({
+            offsets: [0, 1],
+            ranges: [
+                { label: 'a (2024)', timestamps: [1, 2], isPartial: [false, false] },
+                { label: 'a (2025)', timestamps: [3, 4], isPartial: [false, true] }
+            ],
+            values: { 'a (2024)': [10, 20], 'a (2025)': [30, 40] }
+        });
+        expect(table.toRecords({ timestamps: 'epoch' })[1]).toEqual({ offset: 0, timestamp: 3, isPartial: false, keyword: 'a (2025)', value: 30 });
+        expect(table.toWide().toRecords()).toEqual([
+            { offset: 0, 'a (2024)': 10, 'a (2025)': 30 },
+            { offset: 1, 'a (2024)': 20, 'a (2025)': 40 }
+        ]);
+    });
+
+    test('converts regions, ranked lists and arrays of objects', () => {
+        const regions = TrendsTable.from({
+            regions: [{ geoCode: null, geoName: 'Paris', coordinates: { lat: 48.8, lng: 2.3 }, value: { a: 100 }, isLowVolume: false }],
+            values: { a: [100] }
+        });
+        expect(regions.toRecords()).toEqual([{ geoCode: null, geoName: 'Paris', lat: 48.8, lng: 2.3, isLowVolume: false, a: 100 }]);
+        expect(regions.toLong().columns).toEqual(['geoCode', 'geoName', 'lat', 'lng', 'isLowVolume', 'keyword', 'value']);
+
+        const ranked = TrendsTable.from({ top: [{ query: 'a', value: 100 }, { query: 'b', value: 50 }], rising: [{ query: 'c', value: 250 }] });
+        expect(ranked.column('list')).toEqual(['top', 'top', 'rising']);
+        expect(ranked.column('rank')).toEqual([1, 2, 1]);
+
+        const records = TrendsTable.fromRecords([{ keyword: 'a', _raw: 1 }, { keyword: 'b', news: [{ title: 'x' }] }]);
+        expect(records.columns).toEqual(['keyword', 'news']);
+        expect(records.toCSV()).toBe('keyword,news\na,\nb,"[{""title"":""x""}]"\n');
+
+        expect(() => TrendsTable.from({ foo: 1 })).toThrow(TrendsInvalidArgumentError);
+    });
+});
@@ -0,0 +1,53 @@
+const {
+    TrendKeyword,
+    filterTrends,
+    sortTrends
+} = require('../src/trendspy/trend_keyword');
+
+// Mirrors the item layout of the i0OFE batchexecute response
+const makeTrend = (keyword, { started, ended = null, volume, growth, topics }) => new TrendKeyword([
+    keyword, null, 'US', [started], ended ? [ended] : null, null,
+    volume, null, growth, [keyword], topics, [], keyword
+]);
+
+const trends = [
+    makeTrend('nba', { started: 1000, volume: 50000, growth: 300, topics: [17] }),
+    makeTrend('election', { started: 3000, ended: 4000, volume: 200000, growth: 1000, topics: [14] }),
+    makeTrend('weather', { started: 2000, volume: 10000, growth: 500, topics: [4, 17] })
+];
+
+describe('TrendKeyword Tests', () => {
+    test('unpacks the raw API array', () => {
+        const [nba, election] = trends;
+        expect(nba.keyword).toBe('nba');
+        expect(nba.volume).toBe(50000);
+        expect(nba.isTrendFinished).toBe(false);
+        expect(election.isTrendFinished).toBe(true);
+        expect(nba.toString()).toContain('Volume         : 50000 (300%)');
+    });
+
+    describe('filterTrends', () => {
+        test('filters by status, volume and topic', () => {
+            const keywords = (options) => filterTrends(trends, options).map(t => t.keyword);
+            expect(keywords({ status: 'active' })).toEqual(['nba', 'weather']);
+            expect(keywords({ status: 'finished' })).toEqual(['election']);
+            expect(keywords({ minVolume: 50000 })).toEqual(['nba', 'election']);
+            expect(keywords({ topics: 17, minVolume: 20000 })).toEqual(['nba']);
+            expect(keywords({ topics: [] })).toEqual(['nba', 'election', 'weather']);
+        });
+
+        test('rejects unknown statuses', () => {
+            expect(() => filterTrends(trends, { status: 'rising' })).toThrow();
+        });
+    });
+
+    describe('sortTrends', () => {
+        test('sorts by volume, recency and growth in descending order', () => {
+            const keywords = (sortBy) => sortTrends(trends, sortBy).map(t => t.keyword);
+            expect(keywords('volume')).toEqual(['election', 'nba', 'weather']);
+            expect(keywords('recency')).toEqual(['election', 'weather', 'nba']);
+            expect(keywords('growth')).toEqual(['election', 'weather', 'nba']);
+            expect(() => sortTrends(trends, 'name')).toThrow();
+        });
+    });
+});
@@ -0,0 +1,111 @@
+const { getEventListeners } = require('events');
+const {
+    createCallSignal,
+    withCallSignal,
+    abortError,
+    sleep,
+    geoResolutions,
+    checkGeoResolution,
+    isEntityId,
+    keywordValue,
+    entityTitles
+} = require('../src/trendspy/utils');
+const { TrendsInvalidArgumentError, TrendsAbortError } = require('../src/trendspy/errors');
+
+describe('Utils Tests', () => {
+    describe('keywords', () => {
+        test('accept search terms, MIDs and entities', () => {
+            expect(isEntityId('/m/05z1_')).toBe(true);
+            expect(isEntityId('/g/11bc6c_9m7')).toBe(true);
+            expect(isEntityId('python')).toBe(false);
+            expect(keywordValue('python')).toBe('python');
+            expect(keywordValue('/m/05z1_')).toBe('/m/05z1_');
+            expect(keywordValue({ mid: '/m/05z1_', title: 'Python', type: 'Programming language' })).toBe('/m/05z1_');
+            expect(() => keywordValue({ title: 'Python' })).toThrow(TrendsInvalidArgumentError);
+            expect(() => keywordValue(42)).toThrow(TrendsInvalidArgumentError);
+        });
+
+        test('collect the titles of entities', () => {
+            const titles = entityTitles(['python', { mid: '/m/05z1_', title: 'Python' }, { mid: '/m/0jgqg', title: '' }]);
+            expect(Array.from(titles)).toEqual([['/m/05z1_', 'Python']]);
+        });
+    });
+
+    describe('geo resolutions', () => {
+        test('depend on the depth of the geo and allow DMA only in the US', () => {
+            expect(geoResolutions('')).toEqual(['COUNTRY', 'CITY']);
+            expect(geoResolutions('US')).toEqual(['REGION', 'CITY', 'DMA']);
+            expect(geoResolutions('FR')).toEqual(['REGION', 'CITY']);
+            expect(geoResolutions('us-ca')).toEqual(['CITY', 'DMA']);
+            expect(geoResolutions('US-CA-803')).toEqual(['CITY']);
+        });
+
+        test('are validated case-insensitively', () => {
+            expect(checkGeoResolution('dma', 'US')).toBe('DMA');
+            expect(() => checkGeoResolution('DMA', 'FR')).toThrow(TrendsInvalidArgumentError);
+            expect(() => checkGeoResolution('COUNTRY', 'US')).toThrow(TrendsInvalidArgumentError);
+            expect(() => checkGeoResolution('STATE', 'US')).toThrow(/Use one of COUNTRY, REGION, CITY, DMA/);
+        });
+    });
+
+    describe('abort signals', () => {
+        test('timeouts abort with a timed out TrendsAbortError', async () => {
+            const { signal } = createCallSignal(null, 10);
+            await expect(sleep(1000, signal)).rejects.toMatchObject({
+                name: 'TrendsAbortError',
+                timedOut: true
+            });
+        });
+
+        test('caller aborts are forwarded through the timeout signal', async () => {
+            const controller = new AbortController();
+            const { signal } = createCallSignal(controller.signal, 60000);
+            const wait = sleep(1000, signal);
+            controller.abort();
+            const error = await wait.catch(e => e);
+            expect(error).toBeInstanceOf(TrendsAbortError);
+            expect(error.timedOut).toBe(false);
+        });
+
+        test('calls sharing a signal add no listeners to it', () => {
+            const controller = new AbortController();
+            for (let i = 0; i < 20; i++) {
+                createCallSignal(controller.signal, 60000);
+            }
+            expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+        });
+
+        test('without a timeout the caller signal is used as is', () => {
+            const controller = new AbortController();
+            expect(createCallSignal(controller.signal).signal).toBe(controller.signal);
+            expect(createCallSignal().signal).toBeNull();
+        });
+
+        test('settled calls clear their timeout', async () => {
+            jest.useFakeTimers();
+            try {
+                await expect(withCallSignal(null, 60000, async signal => signal.aborted)).resolves.toBe(false);
+                await expect(withCallSignal(null, 60000, async () => {
+                    throw new Error('failed');
+                })).rejects.toThrow('failed');
+                expect(jest.getTimerCount()).toBe(0);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('abortError keeps TrendsAbortError reasons and wraps others', () => {
+            const timedOut = new TrendsAbortError('Timed out after 10 ms', { timedOut: true });
+            const controller = new AbortController();
+            controller.abort(timedOut);
+            expect(abortError(controller.signal)).toBe(timedOut);
+
+            const other = new AbortController();
+            other.abort(new Error('stop'));
+            const error = abortError(other.signal);
+            expect(error).toBeInstanceOf(TrendsAbortError);
+            expect(error.timedOut).toBe(false);
+            expect(error.cause.message).toBe('stop');
+        });
+    });
+});
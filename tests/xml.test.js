@@ -0,0 +1,41 @@
+const { decodeEntities, parseXml } = require('../src/trendspy/xml');
+const { TrendsParseError } = require('../src/trendspy/errors');
+
+describe('XML Tests', () => {
+    test('decodes named and numeric entities', () => {
+        expect(decodeEntities('Fish &amp; Chips &#8211; &#x27;quoted&#39; &lt;b&gt;'))
+            .toBe("Fish & Chips – 'quoted' <b>");
+        expect(decodeEntities('&nbsp; stays')).toBe('&nbsp; stays');
+    });
+
+    test('rejects character references outside of Unicode', () => {
+        expect(() => decodeEntities('&#x110000;')).toThrow(TrendsParseError);
+        expect(() => decodeEntities('&#99999999;')).toThrow(TrendsParseError);
+        expect(() => parseXml('<rss><title>&#x110000;</title></rss>')).toThrow(TrendsParseError);
+        expect(() => parseXml('<rss version="&#99999999;"/>')).toThrow(TrendsParseError);
+    });
+
+    test('parses elements, attributes, namespaces and CDATA', () => {
+        const root = parseXml([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!-- feed -->',
+            '<rss version="2.0" xmlns:ht="https://trends.google.com/trending/rss">',
+            '<channel><atom:link href="https://example.com/?a=1&amp;b=2" rel=\'self\'/>',
+            '<ht:snippet><![CDATA[Tom & Jerry <b>live</b>]]></ht:snippet>',
+            '</channel></rss>'
+        ].join('\n'));
+
+        expect(root.name).toBe('rss');
+        expect(root.attributes.version).toBe('2.0');
+        const [channel] = root.children;
+        expect(channel.children.map(child => child.name)).toEqual(['atom:link', 'ht:snippet']);
+        expect(channel.children[0].attributes).toEqual({ href: 'https://example.com/?a=1&b=2', rel: 'self' });
+        expect(channel.children[1].text).toBe('Tom & Jerry <b>live</b>');
+    });
+
+    test('rejects malformed documents', () => {
+        expect(() => parseXml('<rss><channel></rss>')).toThrow(TrendsParseError);
+        expect(() => parseXml('<rss>')).toThrow(TrendsParseError);
+        expect(() => parseXml('<rss><![CDATA[open</rss>')).toThrow(TrendsParseError);
+    });
+});